@@ -9,7 +9,22 @@
  * @author Ingo Bürk
  */
 
-(function (window) {
+(function (root, factory) {
+    // UMD: AMD loaders, CommonJS (e.g. Node.js and bundlers) and otherwise browser globals
+    if( typeof define === 'function' && define.amd ) {
+        define( [], factory );
+    } else if( typeof module === 'object' && module.exports ) {
+        module.exports = factory();
+    } else {
+        var exports = factory();
+
+        for( var name in exports ) {
+            if( exports.hasOwnProperty( name ) ) {
+                root[name] = exports[name];
+            }
+        }
+    }
+})( (typeof window !== 'undefined') ? window : this, function () {
     function isNumber (k) {
         return typeof k === 'number';
     }
@@ -71,993 +86,3150 @@
         return [].slice.call( arr );
     }
 
-    /**
-     * Static class for utility functions.
-     * @static
-     * @constructor
-     */
-    function MatrixUtils () {
-        throw new Error( 'This cannot be instantiated' );
+    function getRowMajorElements (M) {
+        if( M instanceof Matrix ) {
+            return M.___getElements();
+        }
+
+        var result = [];
+        for( var i = 1; i <= M.rows(); i++ ) {
+            result.push.apply( result, M.__getRow( i ) );
+        }
+
+        return result;
     }
 
-    /**
-     * Error thrown by matrixjs.
-     * @param {string} code Error code, one of {@link MatrixError.ErrorCodes}
-     * @param {string} [msg] Additional message string
-     * @constructor
-     */
-    function MatrixError (code, msg) {
-        this.name = 'MatrixError';
-        this.code = code;
-        this.message = msg;
+    function broadcast (A, B, operation) {
+        var rowsA = A.rows(),
+            columnsA = A.columns(),
+            elementsA = getRowMajorElements( A ),
+            rowsB = isNumber( B ) ? 1 : B.rows(),
+            columnsB = isNumber( B ) ? 1 : B.columns(),
+            elementsB = isNumber( B ) ? [B] : getRowMajorElements( B );
+
+        if( (rowsA !== rowsB && rowsA !== 1 && rowsB !== 1)
+            || (columnsA !== columnsB && columnsA !== 1 && columnsB !== 1) ) {
+            throw new MatrixError( MatrixError.ErrorCodes.DIMENSION_MISMATCH,
+                'Matrices must be of the same size or broadcastable' );
+        }
 
-        /** @override */
-        this.toString = function () {
-            return this.name + ' [' + this.code + ']: ' + (this.message || 'No message');
+        var rows = Math.max( rowsA, rowsB ),
+            columns = Math.max( columnsA, columnsB ),
+            Result = new Matrix( rows, columns, { dtype: A.dtype() } ),
+            result = Result.___getElements();
+
+        for( var i = 0; i < rows; i++ ) {
+            for( var j = 0; j < columns; j++ ) {
+                // singleton dimensions are stretched by always reading their first entry
+                result[i * columns + j] = operation(
+                    elementsA[(rowsA === 1 ? 0 : i) * columnsA + (columnsA === 1 ? 0 : j)],
+                    elementsB[(rowsB === 1 ? 0 : i) * columnsB + (columnsB === 1 ? 0 : j)]
+                );
+            }
         }
+
+        return Result;
     }
 
-    /**
-     * Error codes for MatrixError.
-     */
-    MatrixError.ErrorCodes = {
-        /** @expose */ INVALID_PARAMETERS: 'Invalid parameters',
-        /** @expose */ OUT_OF_BOUNDS: 'Out of bounds',
-        /** @expose */ DIMENSION_MISMATCH: 'Dimension mismatch',
-        /** @expose */ MATRIX_IS_SINGULAR: 'Matrix is singular',
-        /** @expose */ UNKNOWN_TYPE: 'Unknown type',
-        /** @expose */ SIZE_NOT_GIVEN: 'Size not given'
-    };
+    function resolveIndex (index, length) {
+        if( !isInteger( index ) ) {
+            throw new MatrixError( MatrixError.ErrorCodes.INVALID_PARAMETERS, 'Indices must be integers' );
+        }
 
-    /**
-     * Creates a new Matrix.
-     * There is a number of different signatures for the parameter(s) to define the matrix.
-     *  - Use one number n to create a n-by-n matrix filled with zeros.
-     *  - Use two numbers m, n to create a m-by-n matrix filled with zeros.
-     *  - Use an array of arrays, wherein the inner arrays represent entire rows.
-     *  - Use an array of numbers defining the elements from left to right, top to bottom. If no other argument
-     *    is given, the matrix will be assumed to be square. Alternatively, pass two arguments to specify the row and
-     *    column dimension of the matrix. If either one is null/undefined, it will be computed from the other one.
-     *    @example
-     *      new Matrix( 3 );
-     *
-     *      new Matrix( 2, 3 );
-     *
-     *      new Matrix( [
-     *          [1,2,3],
-     *          [4,5,6]
-     *      ] );
-     *
-     *      new Matrix( [1, 2, 3, 4, 5, 6, 7, 8, 9] );
-     *      new Matrix( [1, 2, 3, 4, 5, 6], 2, 3 );
-     *      new Matrix( [1, 2, 3, 4, 5, 6], 2 );
-     *      new Matrix( [1, 2, 3, 4, 5, 6], null, 3 );
-     * @constructor
-     * @param {...*} var_args
-     */
-    function Matrix (var_args) {
-        var args = copyArray( arguments ),
-            __rows, __columns,
-            __elements = [];
+        var resolved = (index < 0) ? length + index + 1 : index;
+        if( resolved < 1 || resolved > length ) {
+            throw new MatrixError( MatrixError.ErrorCodes.OUT_OF_BOUNDS );
+        }
 
-        /**
-         * @override
-         * @private
-         */
-        this.___get = function (row, column) {
-            return __elements[__columns * (row - 1) + column - 1];
-        };
+        return resolved;
+    }
 
-        /**
-         * @override
-         * @private
-         */
-        this.___set = function (row, column, value) {
-            __elements[__columns * (row - 1) + column - 1] = value;
-            return this;
-        };
+    function resolveIndices (selector, length) {
+        var result = [], i;
 
-        /**
-         * Get the number of rows.
-         * @returns {number}
-         * @override
-         */
-        this.rows = function () {
-            return __rows;
-        };
+        if( typeof selector === 'undefined' || selector === null || selector === ':' ) {
+            for( i = 1; i <= length; i++ ) {
+                result.push( i );
+            }
 
-        /**
-         * Get the number of columns.
-         * @returns {number}
-         * @override
-         */
-        this.columns = function () {
-            return __columns;
-        };
+            return result;
+        }
 
-        /**
-         * @override
-         * @private
-         */
-        this.___getElements = function () {
-            return __elements;
-        };
+        if( isNumber( selector ) ) {
+            return [resolveIndex( selector, length )];
+        }
 
-        // Constructor
-        (function () {
-            if( args.length === 1 && isArray( args[0] ) && args[0].length !== 0 && isArray( args[0][0] ) ) {
-                __rows = args[0].length;
-                __columns = -1;
+        if( isArray( selector ) ) {
+            if( selector.length !== 0 && typeof selector[0] === 'boolean' ) {
+                if( selector.length !== length ) {
+                    throw new MatrixError( MatrixError.ErrorCodes.DIMENSION_MISMATCH, 'Mask must match the dimension' );
+                }
 
-                for( var i = 0; i < args[0].length; i++ ) {
-                    if( (args[0][i].length !== __columns && __columns !== -1) ) {
-                        throw new MatrixError( MatrixError.ErrorCodes.INVALID_PARAMETERS,
-                            'Number of columns must be the same for all rows' );
-                    }
-                    if( !isNumberArray( args[0][i] ) ) {
-                        throw new MatrixError( MatrixError.ErrorCodes.INVALID_PARAMETERS, 'Elements must be numbers' );
+                for( i = 0; i < length; i++ ) {
+                    if( selector[i] === true ) {
+                        result.push( i + 1 );
                     }
-
-                    __columns = Math.max( __columns, args[0][i].length );
-                    __elements = __elements.concat( args[0][i] );
                 }
-            } else if( args.length >= 1 && args.length <= 3 && isArray( args[0] )
-                && ( args[0].length === 0 || isNumber( args[0][0] ) ) ) {
 
-                if( !isNumberArray( args[0] ) ) {
-                    throw new MatrixError( MatrixError.ErrorCodes.INVALID_PARAMETERS, 'Elements must be numbers' );
-                }
+                return result;
+            }
 
-                __elements = args[0];
-                var rows = args[1],
-                    columns = args[2];
+            for( i = 0; i < selector.length; i++ ) {
+                result.push( resolveIndex( selector[i], length ) );
+            }
 
-                if( !isNumber( rows ) && !isNumber( columns ) ) {
-                    var dim = Math.sqrt( __elements.length );
+            return result;
+        }
 
-                    rows = dim;
-                    columns = dim;
-                } else if( !isNumber( rows ) && isInteger( columns ) ) {
-                    rows = __elements.length / columns;
-                } else if( isInteger( rows ) && !isNumber( columns ) ) {
-                    columns = __elements.length / rows;
-                }
+        if( typeof selector === 'string' ) {
+            // ranges follow the format start:end or start:step:end, omitted bounds default to the first / last index
+            var parts = selector.split( ':' ),
+                step = (parts.length === 3) ? Number( parts[1] ) : 1,
+                start = parts[0], end = parts[parts.length - 1];
 
-                if( !isInteger( rows ) || !isInteger( columns ) ) {
-                    throw new MatrixError( MatrixError.ErrorCodes.OUT_OF_BOUNDS,
-                        'Array must represent square matrix if no size is given' );
-                }
+            if( parts.length < 2 || parts.length > 3 || !isInteger( step ) || step === 0 ) {
+                throw new MatrixError( MatrixError.ErrorCodes.INVALID_PARAMETERS, 'Invalid range: ' + selector );
+            }
 
-                __rows = rows;
-                __columns = columns;
-            } else if( args.length === 1 && isInteger( args[0] ) ) {
-                __rows = args[0];
-                __columns = args[0];
-                __elements = MatrixUtils.repeat( __rows * __columns, 0 );
-            } else if( args.length === 2 && isInteger( args[0] ) && isInteger( args[1] ) ) {
-                __rows = args[0];
-                __columns = args[1];
-                __elements = MatrixUtils.repeat( __rows * __columns, 0 );
-            } else {
-                throw new MatrixError( MatrixError.ErrorCodes.INVALID_PARAMETERS,
-                    'Parameters must match a supported signature' );
+            start = resolveIndex( (start === '') ? ((step > 0) ? 1 : -1) : Number( start ), length );
+            end = resolveIndex( (end === '') ? ((step > 0) ? -1 : 1) : Number( end ), length );
+
+            for( i = start; (step > 0) ? i <= end : i >= end; i += step ) {
+                result.push( i );
             }
-        })();
 
-        return this;
-    }
+            return result;
+        }
 
-    /**
-     * TODO documentation
-     * @constructor
-     * @param {...*} var_args
-     */
-    function SparseMatrix (var_args) {
-        var args = copyArray( arguments ),
-            __rows,
-            __columns,
-            __elements = [],
-            __columnIndicator = [],
-            __rowPointer = [];
+        throw new MatrixError( MatrixError.ErrorCodes.INVALID_PARAMETERS, 'Unsupported selector' );
+    }
 
-        /**
-         * @override
-         * @private
-         */
-        this.___get = function (row, column) {
-            for( var k = __rowPointer[row - 1]; k < __rowPointer[row]; k++ ) {
-                if( __columnIndicator[k] === column ) {
-                    return __elements[k];
-                }
+    function complementIndices (indices, length) {
+        var result = [];
+        for( var i = 1; i <= length; i++ ) {
+            if( indices.indexOf( i ) === -1 ) {
+                result.push( i );
             }
+        }
+
+        return result;
+    }
+
+    function resolvePermutation (permutation, length) {
+        var result = resolveIndices( isArray( permutation ) ? permutation : toArray( permutation ), length );
+
+        if( result.length !== length || complementIndices( result, length ).length !== 0 ) {
+            throw new MatrixError( MatrixError.ErrorCodes.INVALID_PARAMETERS, 'Argument has to be a permutation' );
+        }
+
+        return result;
+    }
 
+    function ulpDistance (a, b) {
+        if( a === b ) {
             return 0;
-        };
+        }
 
-        /**
-         * @override
-         * @private
-         */
-        this.___set = function (row, column, value) {
-            var index,
-                hasBeenAssignedBefore = false;
-            for( var k = __rowPointer[row - 1]; k <= __rowPointer[row]; k++ ) {
-                index = k;
+        if( isNaN( a ) || isNaN( b ) || typeof DataView === 'undefined' ) {
+            return Infinity;
+        }
 
-                if( __columnIndicator[k] === column && k !== __rowPointer[row] ) {
-                    hasBeenAssignedBefore = true;
-                    break;
-                }
-            }
+        // the bit patterns without sign are ordered such that adjacent doubles differ by one; they need more bits than
+        // a double can hold exactly, so the high and low words are only combined after taking their differences
+        var view = new DataView( new ArrayBuffer( 8 ) ),
+            toWords = function (x) {
+                view.setFloat64( 0, x );
+
+                return [view.getUint32( 0 ), view.getUint32( 4 )];
+            },
+            wordsA = toWords( a ),
+            wordsB = toWords( b ),
+            highA = wordsA[0] & 0x7fffffff,
+            highB = wordsB[0] & 0x7fffffff;
+
+        if( (wordsA[0] >>> 31) !== (wordsB[0] >>> 31) ) {
+            // opposite signs, so the distance is the sum of both distances to zero
+            return (highA + highB) * 4294967296 + wordsA[1] + wordsB[1];
+        }
 
-            if( !hasBeenAssignedBefore && value !== 0 ) {
-                for( var i = row; i < __rowPointer.length; i++ ) {
-                    __rowPointer[i] += 1;
-                }
+        return Math.abs( (highA - highB) * 4294967296 + (wordsA[1] - wordsB[1]) );
+    }
 
-                __elements.splice( index, 0, value );
-                __columnIndicator.splice( index, 0, column );
-            } else if( hasBeenAssignedBefore && value !== 0 ) {
-                __elements.splice( index, 1, value );
-                __columnIndicator.splice( index, 1, column );
-            } else if( hasBeenAssignedBefore ) {
-                for( var i = row; i < __rowPointer.length; i++ ) {
-                    __rowPointer[i] -= 1;
+    function compareApproximately (A, B, options) {
+        options = options || {};
+
+        var atol = getNumberWithDefault( options.atol, MatrixUtils.options.approxEquals.atol ),
+            rtol = getNumberWithDefault( options.rtol, MatrixUtils.options.approxEquals.rtol ),
+            ulps = getNumberWithDefault( options.ulps, MatrixUtils.options.approxEquals.ulps ),
+            diagnostic = getBooleanWithDefault( options.diagnostic, MatrixUtils.options.approxEquals.diagnostic );
+
+        if( !A.isSameSizeAs( B ) ) {
+            return (diagnostic) ? {
+                /** @expose */ equal: false,
+                /** @expose */ row: null,
+                /** @expose */ column: null,
+                /** @expose */ value: null,
+                /** @expose */ other: null,
+                /** @expose */ difference: Infinity,
+                /** @expose */ message: 'Size ' + A.rows() + 'x' + A.columns() + ' differs from size '
+                    + B.rows() + 'x' + B.columns()
+            } : false;
+        }
+
+        var equal = true,
+            worst = null,
+            row, otherRow, difference, isClose;
+
+        for( var i = 1; i <= A.rows(); i++ ) {
+            row = A.__getRow( i );
+            otherRow = B.__getRow( i );
+
+            for( var j = 0; j < row.length; j++ ) {
+                difference = (row[j] === otherRow[j]) ? 0 : Math.abs( row[j] - otherRow[j] );
+                isClose = difference <= atol + rtol * Math.max( Math.abs( row[j] ), Math.abs( otherRow[j] ) )
+                    || (ulps > 0 && ulpDistance( row[j], otherRow[j] ) <= ulps);
+
+                if( !isClose && !diagnostic ) {
+                    return false;
                 }
 
-                __elements.splice( index, 1 );
-                __columnIndicator.splice( index, 1 );
+                equal = equal && isClose;
+                // entries outside of the tolerance always take precedence over entries within it, a large difference
+                // can be fine for large entries; among equals, NaN differences are the worst offenders
+                if( worst === null || (!isClose && worst.isClose)
+                    || (isClose === worst.isClose && !(difference <= worst.difference)) ) {
+                    worst = {
+                        row: i, column: j + 1, value: row[j], other: otherRow[j], difference: difference, isClose: isClose
+                    };
+                }
             }
+        }
 
-            return this;
+        if( !diagnostic ) {
+            return true;
+        }
+
+        return {
+            /** @expose */ equal: equal,
+            /** @expose */ row: (worst === null) ? null : worst.row,
+            /** @expose */ column: (worst === null) ? null : worst.column,
+            /** @expose */ value: (worst === null) ? null : worst.value,
+            /** @expose */ other: (worst === null) ? null : worst.other,
+            /** @expose */ difference: (worst === null) ? 0 : worst.difference,
+            /** @expose */ message: (worst === null) ? 'Matrices are empty' : 'Largest difference '
+                + ((equal) ? 'is ' : 'outside of the tolerance is ') + worst.difference + ' at (' + worst.row + ', '
+                + worst.column + '): ' + worst.value + ' vs. ' + worst.other
         };
+    }
 
-        /** @private */
-        this.___getElements = function () {
-            return __elements;
-        };
+    function getLines (M, axis) {
+        var lines = [], i;
 
-        /** @private */
-        this.___getColumnIndicator = function () {
-            return __columnIndicator;
-        };
+        switch( axis ) {
+            case 'all':
+                return [getRowMajorElements( M )];
+            case 'rows':
+                for( i = 1; i <= M.rows(); i++ ) {
+                    lines.push( M.__getRow( i ) );
+                }
 
-        /** @private */
-        this.___getRowPointer = function () {
-            return __rowPointer;
-        };
+                return lines;
+            case 'columns':
+                for( i = 1; i <= M.columns(); i++ ) {
+                    lines.push( M.__getColumn( i ) );
+                }
 
-        /**
-         * Get the number of rows.
-         * @returns {number}
-         * @override
-         */
-        this.rows = function () {
-            return __rows;
-        };
+                return lines;
+            default:
+                throw new MatrixError( MatrixError.ErrorCodes.INVALID_PARAMETERS, 'Parameter must match a known value' );
+        }
+    }
 
-        /**
-         * Get the number of columns.
-         * @returns {number}
-         * @override
-         */
-        this.columns = function () {
-            return __columns;
-        };
+    function aggregate (M, axis, aggregator) {
+        axis = getStringWithDefault( axis, MatrixUtils.options.aggregate.axis );
 
-        (function () {
-            if( args.length >= 1 && args.length <= 2 && isInteger( args[0] )
-                && ( args.length === 1 || isInteger( args[1] ) ) ) {
-                __rows = args[0];
-                __columns = args[1] || __rows;
-                __elements = [];
-                __columnIndicator = [];
-                __rowPointer = MatrixUtils.repeat( __rows + 1, 0 );
-            } else if( args.length === 5 && isInteger( args[0] ) && isInteger( args[1] ) && isArray( args[2] )
-                && isArray( args[3] ) && isArray( args[4] ) ) {
-                __rows = args[0];
-                __columns = args[1];
-                __elements = args[2];
-                __columnIndicator = args[3];
-                __rowPointer = args[4];
+        var lines = getLines( M, axis ),
+            result = [];
 
-                if( __elements.indexOf( 0 ) !== -1 ) {
-                    throw new MatrixError( MatrixError.ErrorCodes.INVALID_PARAMETERS,
-                        'Values must not be 0' );
+        for( var i = 0; i < lines.length; i++ ) {
+            result.push( aggregator( lines[i] ) );
+        }
+
+        if( axis === 'all' ) {
+            return result[0];
+        }
+
+        // one entry per column forms a row vector, one entry per row a column vector
+        return new Vector( result, axis === 'columns', { dtype: getDtype( M ) } );
+    }
+
+    function aggregateSparse (M, axis, aggregator) {
+        axis = getStringWithDefault( axis, MatrixUtils.options.aggregate.axis );
+
+        var rows = M.rows(),
+            columns = M.columns(),
+            rowPointer = M.___getRowPointer(),
+            columnIndicator = M.___getColumnIndicator(),
+            elements = M.___getElements(),
+            lines = [], positions = [], lineLength, result = [], i, k;
+
+        // only the stored entries and their (1-based) positions within the line are collected, the aggregator is
+        // told how many implicit zeros there are
+        switch( axis ) {
+            case 'all':
+                lines.push( copyArray( elements ) );
+                positions.push( [] );
+
+                for( i = 0; i < rows; i++ ) {
+                    for( k = rowPointer[i]; k < rowPointer[i + 1]; k++ ) {
+                        positions[0].push( i * columns + columnIndicator[k] );
+                    }
                 }
-                if( __rows != __rowPointer.length - 1 ) {
-                    throw new MatrixError( MatrixError.ErrorCodes.OUT_OF_BOUNDS,
-                        'Number of rows is too small' );
+
+                lineLength = rows * columns;
+                break;
+            case 'rows':
+                for( i = 0; i < rows; i++ ) {
+                    lines.push( elements.slice( rowPointer[i], rowPointer[i + 1] ) );
+                    positions.push( columnIndicator.slice( rowPointer[i], rowPointer[i + 1] ) );
                 }
-                if( __elements.length !== __columnIndicator.length ) {
-                    throw new MatrixError( MatrixError.ErrorCodes.INVALID_PARAMETERS,
-                        'Arrays for values and column indicators have to be the same size' );
+
+                lineLength = columns;
+                break;
+            case 'columns':
+                for( i = 0; i < columns; i++ ) {
+                    lines.push( [] );
+                    positions.push( [] );
                 }
-                if( Math.max.apply( this, __columnIndicator ) > __columns ) {
-                    throw new MatrixError( MatrixError.ErrorCodes.INVALID_PARAMETERS,
-                        'Number of columns has to be bigger than the biggest column index' );
+
+                for( i = 0; i < rows; i++ ) {
+                    for( k = rowPointer[i]; k < rowPointer[i + 1]; k++ ) {
+                        lines[columnIndicator[k] - 1].push( elements[k] );
+                        positions[columnIndicator[k] - 1].push( i + 1 );
+                    }
                 }
-            } else if( args.length === 1 && args[0] instanceof SparseBuilder ) {
-                return args[0].build();
-            } else {
-                throw new MatrixError( MatrixError.ErrorCodes.INVALID_PARAMETERS,
-                    'Parameters must match a supported signature' );
-            }
-        })();
 
-        return this;
+                lineLength = rows;
+                break;
+            default:
+                throw new MatrixError( MatrixError.ErrorCodes.INVALID_PARAMETERS, 'Parameter must match a known value' );
+        }
+
+        for( i = 0; i < lines.length; i++ ) {
+            result.push( aggregator( lines[i], lineLength - lines[i].length, positions[i] ) );
+        }
+
+        if( axis === 'all' ) {
+            return result[0];
+        }
+
+        return new Vector( result, axis === 'columns' );
     }
 
-    /**
-     * TODO documentation
-     * @constructor
-     * @param {...*} var_args
-     */
-    function Vector (var_args) {
-        var args = copyArray( arguments ),
-            isRowVector,
-            __elements = [];
+    function argSparse (entries, zeros, positions, isBetter) {
+        var index = NaN,
+            value, firstZero, sorted, i;
 
-        /**
-         * @override
-         * @private
-         */
-        this.___get = function (row, column) {
-            return __elements[(isRowVector) ? (row - 1) : (column - 1)];
-        };
+        for( i = 0; i < entries.length; i++ ) {
+            if( isNaN( index ) || isBetter( entries[i], value ) || (entries[i] === value && positions[i] < index) ) {
+                index = positions[i];
+                value = entries[i];
+            }
+        }
 
-        /**
-         * @override
-         * @private
-         */
-        this.___set = function (row, column, value) {
-            __elements[(isRowVector) ? (row - 1) : (column - 1)] = value;
-            return this;
-        };
+        if( zeros > 0 ) {
+            // the first implicit zero sits at the first position without a stored entry
+            sorted = copyArray( positions ).sort( function (a, b) {
+                return a - b;
+            } );
 
-        /**
-         * Get the number of rows.
-         * @returns {number}
-         * @override
-         */
-        this.rows = function () {
-            return (isRowVector) ? __elements.length : 1;
-        };
+            firstZero = 1;
+            for( i = 0; i < sorted.length && sorted[i] <= firstZero; i++ ) {
+                firstZero = sorted[i] + 1;
+            }
 
-        /**
-         * Get the number of columns.
-         * @returns {number}
-         * @override
-         */
-        this.columns = function () {
-            return (isRowVector) ? 1 : __elements.length;
-        };
+            if( isNaN( index ) || isBetter( 0, value ) || (value === 0 && firstZero < index) ) {
+                index = firstZero;
+            }
+        }
 
-        (function () {
-            // TODO constructor
-        })();
+        return index;
+    }
 
-        return this;
+    function accumulate (M, axis, accumulator) {
+        axis = getStringWithDefault( axis, MatrixUtils.options.aggregate.axis );
+
+        var lines = getLines( M, axis ),
+            rows = M.rows(),
+            columns = M.columns(),
+            Result = new Matrix( rows, columns, { dtype: getDtype( M ) } ),
+            i;
+
+        for( i = 0; i < lines.length; i++ ) {
+            lines[i] = accumulator( lines[i] );
+        }
+
+        if( axis === 'all' ) {
+            Result = new Matrix( lines[0], rows, columns, { dtype: getDtype( M ) } );
+        } else {
+            for( i = 1; i <= lines.length; i++ ) {
+                if( axis === 'rows' ) {
+                    Result.__setRow( i, lines[i - 1] );
+                } else {
+                    Result.__setColumn( i, lines[i - 1] );
+                }
+            }
+        }
+
+        return (M instanceof Vector) ? new Vector( Result ) : Result;
     }
 
-    /**
-     * TODO documentation
-     * @constructor
-     */
-    function SparseBuilder () {
-        var __rows, __columns,
-            __values = [];
+    function sumArray (arr) {
+        var result = 0;
+        for( var i = 0; i < arr.length; i++ ) {
+            result += arr[i];
+        }
 
-        function add (i, j, value) {
-            __values.push( {
-                row: i,
-                column: j,
-                value: value
-            } );
+        return result;
+    }
+
+    function prodArray (arr) {
+        var result = 1;
+        for( var i = 0; i < arr.length; i++ ) {
+            result *= arr[i];
         }
 
-        /**
-         * @param {number} rows
-         * @param {number} [columns=rows]
-         */
-        this.size = function (rows, columns) {
-            __rows = rows;
-            __columns = getNumberWithDefault( columns, rows );
+        return result;
+    }
 
-            return this;
-        };
+    function meanArray (arr) {
+        return sumArray( arr ) / arr.length;
+    }
 
-        this.set = function (row, column, value) {
-            if( !isInteger( __rows ) || !isInteger( __columns ) ) {
-                throw new MatrixError( MatrixError.ErrorCodes.SIZE_NOT_GIVEN,
-                    'Size has to be specified first' );
+    function argminArray (arr) {
+        var index = 0;
+        for( var i = 1; i < arr.length; i++ ) {
+            if( arr[i] < arr[index] ) {
+                index = i;
             }
+        }
 
-            if( !isNumber( value ) ) {
-                throw new MatrixError( MatrixError.ErrorCodes.INVALID_PARAMETERS,
-                    'Value is not numeric' );
-            }
+        return (arr.length === 0) ? NaN : index + 1;
+    }
 
-            // prevent setting the same entry multiple times
-            var assignedBefore = __values.filter(function (current) {
-                return current.row === row && current.column === column;
-            } ).length;
-            if( assignedBefore !== 0 ) {
-                throw new MatrixError( MatrixError.ErrorCodes.INVALID_PARAMETERS,
-                    'Cannot set same entry multiple times' );
+    function argmaxArray (arr) {
+        var index = 0;
+        for( var i = 1; i < arr.length; i++ ) {
+            if( arr[i] > arr[index] ) {
+                index = i;
             }
+        }
 
-            if( row > __rows || column > __columns ) {
-                throw new MatrixError( MatrixError.ErrorCodes.OUT_OF_BOUNDS );
-            }
+        return (arr.length === 0) ? NaN : index + 1;
+    }
 
-            if( value !== 0 ) {
-                add( row, column, value );
-            }
+    function minArray (arr) {
+        return (arr.length === 0) ? NaN : arr[argminArray( arr ) - 1];
+    }
 
-            return this;
-        };
+    function maxArray (arr) {
+        return (arr.length === 0) ? NaN : arr[argmaxArray( arr ) - 1];
+    }
 
-        this.build = function () {
-            __values.sort( function (a, b) {
-                if( a.row != b.row ) {
-                    return (a.row < b.row) ? -1 : 1;
-                }
+    function cumsumArray (arr) {
+        var result = [],
+            sum = 0;
 
-                if( a.column != b.column ) {
-                    return (a.column < b.column) ? -1 : 1;
-                }
+        for( var i = 0; i < arr.length; i++ ) {
+            sum += arr[i];
+            result.push( sum );
+        }
+
+        return result;
+    }
+
+    function cumprodArray (arr) {
+        var result = [],
+            prod = 1;
+
+        for( var i = 0; i < arr.length; i++ ) {
+            prod *= arr[i];
+            result.push( prod );
+        }
+
+        return result;
+    }
 
+    function getNormalizationOffset (normalization) {
+        normalization = getStringWithDefault( normalization, MatrixUtils.options.statistics.normalization );
+
+        switch( normalization ) {
+            case 'sample':
+                return 1;
+            case 'population':
                 return 0;
-            } );
+            default:
+                throw new MatrixError( MatrixError.ErrorCodes.INVALID_PARAMETERS,
+                    'Normalization must be either sample or population' );
+        }
+    }
 
-            var elements = [],
-                rowPointer = MatrixUtils.repeat( __rows + 1, 0 ),
-                columnIndicator = [],
-                lastRow = 1;
+    function varianceArray (arr, offset) {
+        var mean = meanArray( arr ),
+            sum = 0;
 
-            for( var i = 0; i < __values.length; i++ ) {
-                var current = __values[i];
+        for( var i = 0; i < arr.length; i++ ) {
+            sum += (arr[i] - mean) * (arr[i] - mean);
+        }
 
-                elements[i] = current.value;
-                columnIndicator[i] = current.column;
+        return sum / (arr.length - offset);
+    }
 
-                if( rowPointer[current.row] === 0 ) {
-                    for( var k = lastRow + 1; k <= current.row; k++ ) {
-                        rowPointer[k] = rowPointer[k - 1];
+    function percentileArray (arr, p) {
+        var sorted = copyArray( arr ).sort( function (a, b) {
+                return a - b;
+            } ),
+            position = (p / 100) * (sorted.length - 1),
+            lower = Math.floor( position );
+
+        if( sorted.length === 0 ) {
+            return NaN;
+        }
+
+        // linear interpolation between the closest ranks
+        return (lower === sorted.length - 1) ? sorted[lower]
+            : sorted[lower] + (position - lower) * (sorted[lower + 1] - sorted[lower]);
+    }
+
+    function applyReflector (M, reflector, startColumn) {
+        if( reflector === null ) {
+            return;
+        }
+
+        var rows = M.rows(),
+            columns = M.columns(),
+            start = reflector.start,
+            v = reflector.v,
+            sum, i, j;
+
+        // M = H * M with H = I - 2 * v * v^T / (v^T * v), where v acts on the rows start..rows
+        for( j = startColumn; j <= columns; j++ ) {
+            sum = 0;
+            for( i = start; i <= rows; i++ ) {
+                sum += v[i - start] * M.___get( i, j );
+            }
+
+            if( sum === 0 ) {
+                continue;
+            }
+
+            sum = 2 * sum / reflector.vNorm2;
+            for( i = start; i <= rows; i++ ) {
+                M.___set( i, j, M.___get( i, j ) - sum * v[i - start] );
+            }
+        }
+    }
+
+    function isTypedArray (obj) {
+        return ( typeof Float64Array !== 'undefined' && obj instanceof Float64Array )
+            || ( typeof Float32Array !== 'undefined' && obj instanceof Float32Array );
+    }
+
+    function isOptionsObject (obj) {
+        return obj !== null && typeof obj === 'object' && !isArray( obj ) && !isTypedArray( obj )
+            && typeof obj.rows !== 'function';
+    }
+
+    function getStorageType (elements) {
+        if( typeof Float64Array !== 'undefined' && elements instanceof Float64Array ) {
+            return 'float64';
+        }
+
+        if( typeof Float32Array !== 'undefined' && elements instanceof Float32Array ) {
+            return 'float32';
+        }
+
+        return 'array';
+    }
+
+    /**
+     * Create the storage for the elements of a matrix.
+     * @param {string} dtype Storage type, one of 'array', 'float64' or 'float32'
+     * @param {(number|Array.<number>|Float64Array|Float32Array)} elements Either the elements or the number of
+     * elements if the storage shall be filled with zeros. Storage of the requested type is used without copying.
+     * @returns {(Array.<number>|Float64Array|Float32Array)}
+     */
+    function createStorage (dtype, elements) {
+        var Type;
+
+        switch( dtype ) {
+            case 'array':
+                if( isNumber( elements ) ) {
+                    return MatrixUtils.repeat( elements, 0 );
+                }
+
+                return (isArray( elements )) ? elements : copyArray( elements );
+            case 'float64':
+                Type = (typeof Float64Array !== 'undefined') ? Float64Array : null;
+                break;
+            case 'float32':
+                Type = (typeof Float32Array !== 'undefined') ? Float32Array : null;
+                break;
+        }
+
+        if( !Type ) {
+            throw new MatrixError( MatrixError.ErrorCodes.UNKNOWN_TYPE, 'Storage type is not supported: ' + dtype );
+        }
+
+        return (elements instanceof Type) ? elements : new Type( elements );
+    }
+
+    /**
+     * Get the storage type for results derived from a matrix. Sparse matrices don't have one, so the default is used.
+     * @param {(Matrix|SparseMatrix)} M
+     * @returns {string}
+     */
+    function getDtype (M) {
+        return (M instanceof Matrix) ? M.dtype() : MatrixUtils.options.matrix.dtype;
+    }
+
+    function defineHiddenMethod (obj, name, method) {
+        Object.defineProperty( obj, name, {
+            value: method,
+            enumerable: false,
+            configurable: true,
+            writable: true
+        } );
+    }
+
+    /**
+     * Machine epsilon for double precision numbers, i.e. 2^-52.
+     * @const
+     */
+    var EPSILON = Math.pow( 2, -52 );
+
+    // Stream of random numbers for the global seed, see getRandomGenerator
+    var randomStream = null,
+        randomStreamSeed = null;
+
+    function getRandomGenerator (options) {
+        options = options || {};
+
+        if( typeof options.generator === 'function' ) {
+            return options.generator;
+        }
+
+        // a seed that is given but invalid is rejected by xorshift instead of silently falling back to Math.random
+        if( options.seed !== undefined && options.seed !== null ) {
+            return MatrixUtils.xorshift( options.seed );
+        }
+
+        var defaults = MatrixUtils.options.random;
+        if( typeof defaults.generator === 'function' ) {
+            return defaults.generator;
+        }
+
+        if( defaults.seed !== undefined && defaults.seed !== null ) {
+            if( randomStream === null || randomStreamSeed !== defaults.seed ) {
+                randomStream = MatrixUtils.xorshift( defaults.seed );
+                randomStreamSeed = defaults.seed;
+            }
+
+            return randomStream;
+        }
+
+        return Math.random;
+    }
+
+    function popOptions (args) {
+        return (args.length > 0 && isOptionsObject( args[args.length - 1] )) ? args.pop() : {};
+    }
+
+    function dotArray (a, b) {
+        var result = 0;
+        for( var i = 0; i < a.length; i++ ) {
+            result += a[i] * b[i];
+        }
+
+        return result;
+    }
+
+    /**
+     * Applies the plane rotation (a, b) := (c * a - s * b, s * a + c * b) to two arrays in place.
+     */
+    function rotateArrays (a, b, c, s) {
+        var valueA, valueB;
+        for( var i = 0; i < a.length; i++ ) {
+            valueA = a[i];
+            valueB = b[i];
+
+            a[i] = c * valueA - s * valueB;
+            b[i] = s * valueA + c * valueB;
+        }
+    }
+
+    /**
+     * Fills up a list of orthonormal vectors until it contains the given number of vectors. Missing vectors
+     * (null entries) are replaced, further vectors are appended. New vectors are obtained by orthogonalizing the
+     * unit vectors against the existing ones.
+     * @param {Array.<?Array.<number>>} vectors
+     * @param {number} dim Length of each vector
+     * @param {number} count Number of vectors to return
+     * @returns {Array.<Array.<number>>}
+     */
+    function completeOrthonormalBasis (vectors, dim, count) {
+        var result = vectors.slice( 0, count ),
+            candidate = 0,
+            i, j, k, l, v, factor, norm;
+
+        while( result.length < count ) {
+            result.push( null );
+        }
+
+        for( i = 0; i < count; i++ ) {
+            while( result[i] === null && candidate < dim ) {
+                v = MatrixUtils.repeat( dim, 0 );
+                v[candidate++] = 1;
+
+                // orthogonalize twice for numerical stability
+                for( k = 0; k < 2; k++ ) {
+                    for( j = 0; j < count; j++ ) {
+                        if( result[j] !== null ) {
+                            factor = dotArray( v, result[j] );
+                            for( l = 0; l < dim; l++ ) {
+                                v[l] -= factor * result[j][l];
+                            }
+                        }
+                    }
+                }
+
+                norm = Math.sqrt( dotArray( v, v ) );
+                if( norm > 1e-8 ) {
+                    for( l = 0; l < dim; l++ ) {
+                        v[l] /= norm;
+                    }
+
+                    result[i] = v;
+                }
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Complex scalar division (xr + xi * i) / (yr + yi * i).
+     * @returns {Array.<number>} Real and imaginary part of the quotient
+     */
+    function cdiv (xr, xi, yr, yi) {
+        var r, d;
+
+        if( Math.abs( yr ) > Math.abs( yi ) ) {
+            r = yi / yr;
+            d = yr + r * yi;
+            return [(xr + r * xi) / d, (xi - r * xr) / d];
+        }
+
+        r = yr / yi;
+        d = yi + r * yr;
+        return [(r * xr + xi) / d, (r * xi - xr) / d];
+    }
+
+    /**
+     * Reduces a Hessenberg matrix to real Schur form by the shifted QR algorithm and computes the eigenvectors
+     * (hqr2 from JAMA / EISPACK). All arrays are modified in place.
+     * @param {number} nn Dimension
+     * @param {Array.<Array.<number>>} H Hessenberg matrix
+     * @param {Array.<Array.<number>>} V Accumulated transformations, will contain the eigenvectors
+     * @param {Array.<number>} d Will contain the real parts of the eigenvalues
+     * @param {Array.<number>} e Will contain the imaginary parts of the eigenvalues
+     */
+    function hqr2 (nn, H, V, d, e) {
+        var n = nn - 1,
+            low = 0,
+            high = nn - 1,
+            exshift = 0,
+            p = 0, q = 0, r = 0, s = 0, z = 0,
+            t, w, x, y, ra, sa, vr, vi, quotient,
+            norm = 0,
+            iter = 0,
+            i, j, k, l, m, notlast;
+
+        for( i = 0; i < nn; i++ ) {
+            for( j = Math.max( i - 1, 0 ); j < nn; j++ ) {
+                norm += Math.abs( H[i][j] );
+            }
+        }
+
+        // Outer loop over eigenvalue index
+        while( n >= low ) {
+            // Look for single small sub-diagonal element
+            l = n;
+            while( l > low ) {
+                s = Math.abs( H[l - 1][l - 1] ) + Math.abs( H[l][l] );
+                if( s === 0 ) {
+                    s = norm;
+                }
+
+                if( Math.abs( H[l][l - 1] ) < EPSILON * s ) {
+                    break;
+                }
+
+                l--;
+            }
+
+            if( l === n ) {
+                // One root found
+                H[n][n] = H[n][n] + exshift;
+                d[n] = H[n][n];
+                e[n] = 0;
+                n--;
+                iter = 0;
+            } else if( l === n - 1 ) {
+                // Two roots found
+                w = H[n][n - 1] * H[n - 1][n];
+                p = (H[n - 1][n - 1] - H[n][n]) / 2;
+                q = p * p + w;
+                z = Math.sqrt( Math.abs( q ) );
+                H[n][n] = H[n][n] + exshift;
+                H[n - 1][n - 1] = H[n - 1][n - 1] + exshift;
+                x = H[n][n];
+
+                if( q >= 0 ) {
+                    // Real pair
+                    z = (p >= 0) ? p + z : p - z;
+                    d[n - 1] = x + z;
+                    d[n] = d[n - 1];
+                    if( z !== 0 ) {
+                        d[n] = x - w / z;
+                    }
+
+                    e[n - 1] = 0;
+                    e[n] = 0;
+                    x = H[n][n - 1];
+                    s = Math.abs( x ) + Math.abs( z );
+                    p = x / s;
+                    q = z / s;
+                    r = Math.sqrt( p * p + q * q );
+                    p = p / r;
+                    q = q / r;
+
+                    for( j = n - 1; j < nn; j++ ) {
+                        z = H[n - 1][j];
+                        H[n - 1][j] = q * z + p * H[n][j];
+                        H[n][j] = q * H[n][j] - p * z;
+                    }
+
+                    for( i = 0; i <= n; i++ ) {
+                        z = H[i][n - 1];
+                        H[i][n - 1] = q * z + p * H[i][n];
+                        H[i][n] = q * H[i][n] - p * z;
+                    }
+
+                    for( i = low; i <= high; i++ ) {
+                        z = V[i][n - 1];
+                        V[i][n - 1] = q * z + p * V[i][n];
+                        V[i][n] = q * V[i][n] - p * z;
+                    }
+                } else {
+                    // Complex pair
+                    d[n - 1] = x + p;
+                    d[n] = x + p;
+                    e[n - 1] = z;
+                    e[n] = -z;
+                }
+
+                n = n - 2;
+                iter = 0;
+            } else {
+                // No convergence yet, form shift
+                x = H[n][n];
+                y = 0;
+                w = 0;
+                if( l < n ) {
+                    y = H[n - 1][n - 1];
+                    w = H[n][n - 1] * H[n - 1][n];
+                }
+
+                // Wilkinson's original ad hoc shift
+                if( iter === 10 ) {
+                    exshift += x;
+                    for( i = low; i <= n; i++ ) {
+                        H[i][i] -= x;
+                    }
+
+                    s = Math.abs( H[n][n - 1] ) + Math.abs( H[n - 1][n - 2] );
+                    x = y = 0.75 * s;
+                    w = -0.4375 * s * s;
+                }
+
+                // MATLAB's new ad hoc shift
+                if( iter === 30 ) {
+                    s = (y - x) / 2;
+                    s = s * s + w;
+                    if( s > 0 ) {
+                        s = Math.sqrt( s );
+                        if( y < x ) {
+                            s = -s;
+                        }
+
+                        s = x - w / ((y - x) / 2 + s);
+                        for( i = low; i <= n; i++ ) {
+                            H[i][i] -= s;
+                        }
+
+                        exshift += s;
+                        x = y = w = 0.964;
+                    }
+                }
+
+                iter++;
+                if( iter > 1000 ) {
+                    throw new MatrixError( MatrixError.ErrorCodes.NO_CONVERGENCE,
+                        'Eigenvalue iteration did not converge' );
+                }
+
+                // Look for two consecutive small sub-diagonal elements
+                m = n - 2;
+                while( m >= l ) {
+                    z = H[m][m];
+                    r = x - z;
+                    s = y - z;
+                    p = (r * s - w) / H[m + 1][m] + H[m][m + 1];
+                    q = H[m + 1][m + 1] - z - r - s;
+                    r = H[m + 2][m + 1];
+                    s = Math.abs( p ) + Math.abs( q ) + Math.abs( r );
+                    p = p / s;
+                    q = q / s;
+                    r = r / s;
+
+                    if( m === l ) {
+                        break;
+                    }
+
+                    if( Math.abs( H[m][m - 1] ) * (Math.abs( q ) + Math.abs( r )) <
+                        EPSILON * (Math.abs( p ) * (Math.abs( H[m - 1][m - 1] ) + Math.abs( z ) +
+                            Math.abs( H[m + 1][m + 1] ))) ) {
+                        break;
+                    }
+
+                    m--;
+                }
+
+                for( i = m + 2; i <= n; i++ ) {
+                    H[i][i - 2] = 0;
+                    if( i > m + 2 ) {
+                        H[i][i - 3] = 0;
+                    }
+                }
+
+                // Double QR step involving rows l:n and columns m:n
+                for( k = m; k <= n - 1; k++ ) {
+                    notlast = (k !== n - 1);
+                    if( k !== m ) {
+                        p = H[k][k - 1];
+                        q = H[k + 1][k - 1];
+                        r = (notlast) ? H[k + 2][k - 1] : 0;
+                        x = Math.abs( p ) + Math.abs( q ) + Math.abs( r );
+                        if( x === 0 ) {
+                            continue;
+                        }
+
+                        p = p / x;
+                        q = q / x;
+                        r = r / x;
+                    }
+
+                    s = Math.sqrt( p * p + q * q + r * r );
+                    if( p < 0 ) {
+                        s = -s;
+                    }
+
+                    if( s !== 0 ) {
+                        if( k !== m ) {
+                            H[k][k - 1] = -s * x;
+                        } else if( l !== m ) {
+                            H[k][k - 1] = -H[k][k - 1];
+                        }
+
+                        p = p + s;
+                        x = p / s;
+                        y = q / s;
+                        z = r / s;
+                        q = q / p;
+                        r = r / p;
+
+                        // Row modification
+                        for( j = k; j < nn; j++ ) {
+                            p = H[k][j] + q * H[k + 1][j];
+                            if( notlast ) {
+                                p = p + r * H[k + 2][j];
+                                H[k + 2][j] = H[k + 2][j] - p * z;
+                            }
+
+                            H[k][j] = H[k][j] - p * x;
+                            H[k + 1][j] = H[k + 1][j] - p * y;
+                        }
+
+                        // Column modification
+                        for( i = 0; i <= Math.min( n, k + 3 ); i++ ) {
+                            p = x * H[i][k] + y * H[i][k + 1];
+                            if( notlast ) {
+                                p = p + z * H[i][k + 2];
+                                H[i][k + 2] = H[i][k + 2] - p * r;
+                            }
+
+                            H[i][k] = H[i][k] - p;
+                            H[i][k + 1] = H[i][k + 1] - p * q;
+                        }
+
+                        // Accumulate transformations
+                        for( i = low; i <= high; i++ ) {
+                            p = x * V[i][k] + y * V[i][k + 1];
+                            if( notlast ) {
+                                p = p + z * V[i][k + 2];
+                                V[i][k + 2] = V[i][k + 2] - p * r;
+                            }
+
+                            V[i][k] = V[i][k] - p;
+                            V[i][k + 1] = V[i][k + 1] - p * q;
+                        }
+                    }
+                }
+            }
+        }
+
+        // Backsubstitute to find vectors of upper triangular form
+        if( norm === 0 ) {
+            return;
+        }
+
+        for( n = nn - 1; n >= 0; n-- ) {
+            p = d[n];
+            q = e[n];
+
+            if( q === 0 ) {
+                // Real vector
+                l = n;
+                H[n][n] = 1;
+                for( i = n - 1; i >= 0; i-- ) {
+                    w = H[i][i] - p;
+                    r = 0;
+                    for( j = l; j <= n; j++ ) {
+                        r = r + H[i][j] * H[j][n];
+                    }
+
+                    if( e[i] < 0 ) {
+                        z = w;
+                        s = r;
+                    } else {
+                        l = i;
+                        if( e[i] === 0 ) {
+                            H[i][n] = (w !== 0) ? -r / w : -r / (EPSILON * norm);
+                        } else {
+                            // Solve real equations
+                            x = H[i][i + 1];
+                            y = H[i + 1][i];
+                            q = (d[i] - p) * (d[i] - p) + e[i] * e[i];
+                            t = (x * s - z * r) / q;
+                            H[i][n] = t;
+                            H[i + 1][n] = (Math.abs( x ) > Math.abs( z )) ? (-r - w * t) / x : (-s - y * t) / z;
+                        }
+
+                        // Overflow control
+                        t = Math.abs( H[i][n] );
+                        if( (EPSILON * t) * t > 1 ) {
+                            for( j = i; j <= n; j++ ) {
+                                H[j][n] = H[j][n] / t;
+                            }
+                        }
+                    }
+                }
+            } else if( q < 0 ) {
+                // Complex vector
+                l = n - 1;
+
+                // Last vector component imaginary so matrix is triangular
+                if( Math.abs( H[n][n - 1] ) > Math.abs( H[n - 1][n] ) ) {
+                    H[n - 1][n - 1] = q / H[n][n - 1];
+                    H[n - 1][n] = -(H[n][n] - p) / H[n][n - 1];
+                } else {
+                    quotient = cdiv( 0, -H[n - 1][n], H[n - 1][n - 1] - p, q );
+                    H[n - 1][n - 1] = quotient[0];
+                    H[n - 1][n] = quotient[1];
+                }
+
+                H[n][n - 1] = 0;
+                H[n][n] = 1;
+                for( i = n - 2; i >= 0; i-- ) {
+                    ra = 0;
+                    sa = 0;
+                    for( j = l; j <= n; j++ ) {
+                        ra = ra + H[i][j] * H[j][n - 1];
+                        sa = sa + H[i][j] * H[j][n];
+                    }
+
+                    w = H[i][i] - p;
+
+                    if( e[i] < 0 ) {
+                        z = w;
+                        r = ra;
+                        s = sa;
+                    } else {
+                        l = i;
+                        if( e[i] === 0 ) {
+                            quotient = cdiv( -ra, -sa, w, q );
+                            H[i][n - 1] = quotient[0];
+                            H[i][n] = quotient[1];
+                        } else {
+                            // Solve complex equations
+                            x = H[i][i + 1];
+                            y = H[i + 1][i];
+                            vr = (d[i] - p) * (d[i] - p) + e[i] * e[i] - q * q;
+                            vi = (d[i] - p) * 2 * q;
+                            if( vr === 0 && vi === 0 ) {
+                                vr = EPSILON * norm * (Math.abs( w ) + Math.abs( q ) + Math.abs( x ) +
+                                    Math.abs( y ) + Math.abs( z ));
+                            }
+
+                            quotient = cdiv( x * r - z * ra + q * sa, x * s - z * sa - q * ra, vr, vi );
+                            H[i][n - 1] = quotient[0];
+                            H[i][n] = quotient[1];
+
+                            if( Math.abs( x ) > (Math.abs( z ) + Math.abs( q )) ) {
+                                H[i + 1][n - 1] = (-ra - w * H[i][n - 1] + q * H[i][n]) / x;
+                                H[i + 1][n] = (-sa - w * H[i][n] - q * H[i][n - 1]) / x;
+                            } else {
+                                quotient = cdiv( -r - y * H[i][n - 1], -s - y * H[i][n], z, q );
+                                H[i + 1][n - 1] = quotient[0];
+                                H[i + 1][n] = quotient[1];
+                            }
+                        }
+
+                        // Overflow control
+                        t = Math.max( Math.abs( H[i][n - 1] ), Math.abs( H[i][n] ) );
+                        if( (EPSILON * t) * t > 1 ) {
+                            for( j = i; j <= n; j++ ) {
+                                H[j][n - 1] = H[j][n - 1] / t;
+                                H[j][n] = H[j][n] / t;
+                            }
+                        }
+                    }
+                }
+            }
+        }
+
+        // Back transformation to get eigenvectors of original matrix
+        for( j = nn - 1; j >= low; j-- ) {
+            for( i = low; i <= high; i++ ) {
+                z = 0;
+                for( k = low; k <= Math.min( j, high ); k++ ) {
+                    z = z + V[i][k] * H[k][j];
+                }
+
+                V[i][j] = z;
+            }
+        }
+    }
+
+    /**
+     * Static class for utility functions.
+     * @static
+     * @constructor
+     */
+    function MatrixUtils () {
+        throw new Error( 'This cannot be instantiated' );
+    }
+
+    /**
+     * Error thrown by matrixjs.
+     * @param {string} code Error code, one of {@link MatrixError.ErrorCodes}
+     * @param {string} [msg] Additional message string
+     * @constructor
+     */
+    function MatrixError (code, msg) {
+        this.name = 'MatrixError';
+        this.code = code;
+        this.message = msg;
+
+        /** @override */
+        this.toString = function () {
+            return this.name + ' [' + this.code + ']: ' + (this.message || 'No message');
+        }
+    }
+
+    /**
+     * Error codes for MatrixError.
+     */
+    MatrixError.ErrorCodes = {
+        /** @expose */ INVALID_PARAMETERS: 'Invalid parameters',
+        /** @expose */ OUT_OF_BOUNDS: 'Out of bounds',
+        /** @expose */ DIMENSION_MISMATCH: 'Dimension mismatch',
+        /** @expose */ MATRIX_IS_SINGULAR: 'Matrix is singular',
+        /** @expose */ MATRIX_NOT_POSITIVE_DEFINITE: 'Matrix is not positive definite',
+        /** @expose */ NO_CONVERGENCE: 'Iteration did not converge',
+        /** @expose */ UNKNOWN_TYPE: 'Unknown type',
+        /** @expose */ SIZE_NOT_GIVEN: 'Size not given'
+    };
+
+    /**
+     * Creates a new Matrix.
+     * There is a number of different signatures for the parameter(s) to define the matrix.
+     *  - Use one number n to create a n-by-n matrix filled with zeros.
+     *  - Use two numbers m, n to create a m-by-n matrix filled with zeros.
+     *  - Use an array of arrays, wherein the inner arrays represent entire rows.
+     *  - Use an array of numbers defining the elements from left to right, top to bottom. If no other argument
+     *    is given, the matrix will be assumed to be square. Alternatively, pass two arguments to specify the row and
+     *    column dimension of the matrix. If either one is null/undefined, it will be computed from the other one.
+     *    @example
+     *      new Matrix( 3 );
+     *
+     *      new Matrix( 2, 3 );
+     *
+     *      new Matrix( [
+     *          [1,2,3],
+     *          [4,5,6]
+     *      ] );
+     *
+     *      new Matrix( [1, 2, 3, 4, 5, 6, 7, 8, 9] );
+     *      new Matrix( [1, 2, 3, 4, 5, 6], 2, 3 );
+     *      new Matrix( [1, 2, 3, 4, 5, 6], 2 );
+     *      new Matrix( [1, 2, 3, 4, 5, 6], null, 3 );
+     *  Instead of an array of numbers, a Float64Array or Float32Array can be passed. It will be used as the storage
+     *  of the matrix without copying it.
+     *  All signatures accept an options object as an additional last argument. Supported options are:
+     *  - dtype: Storage type of the elements, one of 'array' (plain Javascript array), 'float64' (Float64Array)
+     *    or 'float32' (Float32Array). Defaults to the type of a passed typed array or
+     *    {@link MatrixUtils.options.matrix.dtype}.
+     *    @example
+     *      new Matrix( 1000, 1000, { dtype: 'float32' } );
+     *      new Matrix( new Float64Array( [1, 2, 3, 4] ), 2, 2 );
+     * @constructor
+     * @param {...*} var_args
+     */
+    function Matrix (var_args) {
+        var args = copyArray( arguments ),
+            options = (args.length > 1 && isOptionsObject( args[args.length - 1] )) ? args.pop() : {},
+            __dtype = getStringWithDefault( options.dtype,
+                (isTypedArray( args[0] )) ? getStorageType( args[0] ) : MatrixUtils.options.matrix.dtype ),
+            __rows, __columns,
+            __elements = [];
+
+        /**
+         * @override
+         * @private
+         */
+        this.___get = function (row, column) {
+            return __elements[__columns * (row - 1) + column - 1];
+        };
+
+        /**
+         * @override
+         * @private
+         */
+        this.___set = function (row, column, value) {
+            __elements[__columns * (row - 1) + column - 1] = value;
+            return this;
+        };
+
+        /**
+         * Get the number of rows.
+         * @returns {number}
+         * @override
+         */
+        this.rows = function () {
+            return __rows;
+        };
+
+        /**
+         * Get the number of columns.
+         * @returns {number}
+         * @override
+         */
+        this.columns = function () {
+            return __columns;
+        };
+
+        /**
+         * @override
+         * @private
+         */
+        this.___getElements = function () {
+            return __elements;
+        };
+
+        /**
+         * Get the storage type of the elements.
+         * @returns {string} One of 'array', 'float64' or 'float32'.
+         */
+        this.dtype = function () {
+            return __dtype;
+        };
+
+        // Constructor
+        (function () {
+            if( args.length === 1 && isArray( args[0] ) && args[0].length !== 0 && isArray( args[0][0] ) ) {
+                __rows = args[0].length;
+                __columns = -1;
+
+                for( var i = 0; i < args[0].length; i++ ) {
+                    if( (args[0][i].length !== __columns && __columns !== -1) ) {
+                        throw new MatrixError( MatrixError.ErrorCodes.INVALID_PARAMETERS,
+                            'Number of columns must be the same for all rows' );
+                    }
+                    if( !isNumberArray( args[0][i] ) ) {
+                        throw new MatrixError( MatrixError.ErrorCodes.INVALID_PARAMETERS, 'Elements must be numbers' );
+                    }
+
+                    __columns = Math.max( __columns, args[0][i].length );
+                    __elements = __elements.concat( args[0][i] );
+                }
+            } else if( args.length >= 1 && args.length <= 3 && ( isArray( args[0] ) || isTypedArray( args[0] ) )
+                && ( args[0].length === 0 || isNumber( args[0][0] ) ) ) {
+
+                if( !isNumberArray( args[0] ) ) {
+                    throw new MatrixError( MatrixError.ErrorCodes.INVALID_PARAMETERS, 'Elements must be numbers' );
+                }
+
+                __elements = args[0];
+                var rows = args[1],
+                    columns = args[2];
+
+                if( !isNumber( rows ) && !isNumber( columns ) ) {
+                    var dim = Math.sqrt( __elements.length );
+
+                    rows = dim;
+                    columns = dim;
+                } else if( !isNumber( rows ) && isInteger( columns ) ) {
+                    rows = __elements.length / columns;
+                } else if( isInteger( rows ) && !isNumber( columns ) ) {
+                    columns = __elements.length / rows;
+                }
+
+                if( !isInteger( rows ) || !isInteger( columns ) ) {
+                    throw new MatrixError( MatrixError.ErrorCodes.OUT_OF_BOUNDS,
+                        'Array must represent square matrix if no size is given' );
+                }
+
+                __rows = rows;
+                __columns = columns;
+            } else if( args.length === 1 && isInteger( args[0] ) ) {
+                __rows = args[0];
+                __columns = args[0];
+                __elements = __rows * __columns;
+            } else if( args.length === 2 && isInteger( args[0] ) && isInteger( args[1] ) ) {
+                __rows = args[0];
+                __columns = args[1];
+                __elements = __rows * __columns;
+            } else {
+                throw new MatrixError( MatrixError.ErrorCodes.INVALID_PARAMETERS,
+                    'Parameters must match a supported signature' );
+            }
+
+            __elements = createStorage( __dtype, __elements );
+        })();
+
+        return this;
+    }
+
+    /**
+     * TODO documentation
+     * @constructor
+     * @param {...*} var_args
+     */
+    function SparseMatrix (var_args) {
+        var args = copyArray( arguments ),
+            __rows,
+            __columns,
+            __elements = [],
+            __columnIndicator = [],
+            __rowPointer = [];
+
+        /**
+         * @override
+         * @private
+         */
+        this.___get = function (row, column) {
+            for( var k = __rowPointer[row - 1]; k < __rowPointer[row]; k++ ) {
+                if( __columnIndicator[k] === column ) {
+                    return __elements[k];
+                }
+            }
+
+            return 0;
+        };
+
+        /**
+         * @override
+         * @private
+         */
+        this.___set = function (row, column, value) {
+            var index,
+                hasBeenAssignedBefore = false;
+            for( var k = __rowPointer[row - 1]; k <= __rowPointer[row]; k++ ) {
+                index = k;
+
+                if( __columnIndicator[k] === column && k !== __rowPointer[row] ) {
+                    hasBeenAssignedBefore = true;
+                    break;
+                }
+            }
+
+            if( !hasBeenAssignedBefore && value !== 0 ) {
+                for( var i = row; i < __rowPointer.length; i++ ) {
+                    __rowPointer[i] += 1;
+                }
+
+                __elements.splice( index, 0, value );
+                __columnIndicator.splice( index, 0, column );
+            } else if( hasBeenAssignedBefore && value !== 0 ) {
+                __elements.splice( index, 1, value );
+                __columnIndicator.splice( index, 1, column );
+            } else if( hasBeenAssignedBefore ) {
+                for( var i = row; i < __rowPointer.length; i++ ) {
+                    __rowPointer[i] -= 1;
+                }
+
+                __elements.splice( index, 1 );
+                __columnIndicator.splice( index, 1 );
+            }
+
+            return this;
+        };
+
+        /** @private */
+        this.___getElements = function () {
+            return __elements;
+        };
+
+        /** @private */
+        this.___getColumnIndicator = function () {
+            return __columnIndicator;
+        };
+
+        /** @private */
+        this.___getRowPointer = function () {
+            return __rowPointer;
+        };
+
+        /**
+         * Get the number of rows.
+         * @returns {number}
+         * @override
+         */
+        this.rows = function () {
+            return __rows;
+        };
+
+        /**
+         * Get the number of columns.
+         * @returns {number}
+         * @override
+         */
+        this.columns = function () {
+            return __columns;
+        };
+
+        (function () {
+            if( args.length >= 1 && args.length <= 2 && isInteger( args[0] )
+                && ( args.length === 1 || isInteger( args[1] ) ) ) {
+                __rows = args[0];
+                __columns = args[1] || __rows;
+                __elements = [];
+                __columnIndicator = [];
+                __rowPointer = MatrixUtils.repeat( __rows + 1, 0 );
+            } else if( args.length === 5 && isInteger( args[0] ) && isInteger( args[1] ) && isArray( args[2] )
+                && isArray( args[3] ) && isArray( args[4] ) ) {
+                __rows = args[0];
+                __columns = args[1];
+                __elements = args[2];
+                __columnIndicator = args[3];
+                __rowPointer = args[4];
+
+                if( __elements.indexOf( 0 ) !== -1 ) {
+                    throw new MatrixError( MatrixError.ErrorCodes.INVALID_PARAMETERS,
+                        'Values must not be 0' );
+                }
+                if( __rows != __rowPointer.length - 1 ) {
+                    throw new MatrixError( MatrixError.ErrorCodes.OUT_OF_BOUNDS,
+                        'Number of rows is too small' );
+                }
+                if( __elements.length !== __columnIndicator.length ) {
+                    throw new MatrixError( MatrixError.ErrorCodes.INVALID_PARAMETERS,
+                        'Arrays for values and column indicators have to be the same size' );
+                }
+                if( Math.max.apply( this, __columnIndicator ) > __columns ) {
+                    throw new MatrixError( MatrixError.ErrorCodes.INVALID_PARAMETERS,
+                        'Number of columns has to be bigger than the biggest column index' );
+                }
+            } else if( args.length === 1 && args[0] instanceof SparseBuilder ) {
+                return args[0].build();
+            } else {
+                throw new MatrixError( MatrixError.ErrorCodes.INVALID_PARAMETERS,
+                    'Parameters must match a supported signature' );
+            }
+        })();
+
+        return this;
+    }
+
+    /**
+     * Creates a new Vector. A vector is a matrix with a single row or a single column and can be used wherever a
+     * matrix can be used.
+     * There is a number of different signatures for the parameter(s) to define the vector.
+     *  - Use one number n to create a column vector of length n filled with zeros.
+     *  - Use an array of numbers to create a column vector with these entries.
+     *  - Use a matrix with a single row or column to create a vector with the same entries and orientation.
+     *  The first two signatures accept an additional boolean argument. If it is true, a row vector will be created.
+     *  All signatures accept an options object as an additional last argument with the same dtype option as
+     *  {@link Matrix}. A vector created from a matrix has the storage type of the matrix by default.
+     *    @example
+     *      new Vector( 3 );
+     *      new Vector( 3, true );
+     *
+     *      new Vector( [1, 2, 3] );
+     *      new Vector( [1, 2, 3], true );
+     *      new Vector( [1, 2, 3], true, { dtype: 'float32' } );
+     *
+     *      new Vector( new Matrix( [1, 2, 3], 1, 3 ) );
+     * @constructor
+     * @extends {Matrix}
+     * @param {...*} var_args
+     */
+    function Vector (var_args) {
+        var args = copyArray( arguments ),
+            options = (args.length > 1 && isOptionsObject( args[args.length - 1] )) ? args.pop() : {},
+            __dtype = getStringWithDefault( options.dtype, (args[0] instanceof Matrix) ? args[0].dtype()
+                : MatrixUtils.options.matrix.dtype ),
+            __isRowVector = false,
+            __elements = [];
+
+        /**
+         * @override
+         * @private
+         */
+        this.___get = function (row, column) {
+            return __elements[(__isRowVector) ? (column - 1) : (row - 1)];
+        };
+
+        /**
+         * @override
+         * @private
+         */
+        this.___set = function (row, column, value) {
+            __elements[(__isRowVector) ? (column - 1) : (row - 1)] = value;
+            return this;
+        };
+
+        /**
+         * Get the number of rows.
+         * @returns {number}
+         * @override
+         */
+        this.rows = function () {
+            return (__isRowVector) ? 1 : __elements.length;
+        };
+
+        /**
+         * Get the number of columns.
+         * @returns {number}
+         * @override
+         */
+        this.columns = function () {
+            return (__isRowVector) ? __elements.length : 1;
+        };
+
+        /**
+         * @override
+         * @private
+         */
+        this.___getElements = function () {
+            return __elements;
+        };
+
+        /**
+         * Get the storage type of the elements.
+         * @returns {string} One of 'array', 'float64' or 'float32'.
+         */
+        this.dtype = function () {
+            return __dtype;
+        };
+
+        /**
+         * Check if this is a row vector.
+         * @returns {boolean} True if row vector, false if column vector.
+         */
+        this.isRowVector = function () {
+            return __isRowVector;
+        };
+
+        // Constructor
+        (function () {
+            if( args.length >= 1 && args.length <= 2 && isArray( args[0] ) ) {
+                if( !isNumberArray( args[0] ) ) {
+                    throw new MatrixError( MatrixError.ErrorCodes.INVALID_PARAMETERS, 'Elements must be numbers' );
+                }
+
+                __elements = copyArray( args[0] );
+                __isRowVector = getBooleanWithDefault( args[1], false );
+            } else if( args.length >= 1 && args.length <= 2 && isInteger( args[0] ) ) {
+                __elements = MatrixUtils.repeat( args[0], 0 );
+                __isRowVector = getBooleanWithDefault( args[1], false );
+            } else if( args.length === 1 && (args[0] instanceof Matrix || args[0] instanceof SparseMatrix) ) {
+                __elements = toArray( args[0] );
+                __isRowVector = args[0].rows() === 1 && args[0].columns() !== 1;
+            } else {
+                throw new MatrixError( MatrixError.ErrorCodes.INVALID_PARAMETERS,
+                    'Parameters must match a supported signature' );
+            }
+
+            __elements = createStorage( __dtype, __elements );
+        })();
+
+        return this;
+    }
+
+    /**
+     * TODO documentation
+     * @constructor
+     */
+    function SparseBuilder () {
+        var __rows, __columns,
+            __values = [];
+
+        function add (i, j, value) {
+            __values.push( {
+                row: i,
+                column: j,
+                value: value
+            } );
+        }
+
+        /**
+         * @param {number} rows
+         * @param {number} [columns=rows]
+         */
+        this.size = function (rows, columns) {
+            __rows = rows;
+            __columns = getNumberWithDefault( columns, rows );
+
+            return this;
+        };
+
+        this.set = function (row, column, value) {
+            if( !isInteger( __rows ) || !isInteger( __columns ) ) {
+                throw new MatrixError( MatrixError.ErrorCodes.SIZE_NOT_GIVEN,
+                    'Size has to be specified first' );
+            }
+
+            if( !isNumber( value ) ) {
+                throw new MatrixError( MatrixError.ErrorCodes.INVALID_PARAMETERS,
+                    'Value is not numeric' );
+            }
+
+            // prevent setting the same entry multiple times
+            var assignedBefore = __values.filter(function (current) {
+                return current.row === row && current.column === column;
+            } ).length;
+            if( assignedBefore !== 0 ) {
+                throw new MatrixError( MatrixError.ErrorCodes.INVALID_PARAMETERS,
+                    'Cannot set same entry multiple times' );
+            }
+
+            if( row > __rows || column > __columns ) {
+                throw new MatrixError( MatrixError.ErrorCodes.OUT_OF_BOUNDS );
+            }
+
+            if( value !== 0 ) {
+                add( row, column, value );
+            }
+
+            return this;
+        };
+
+        this.build = function () {
+            __values.sort( function (a, b) {
+                if( a.row != b.row ) {
+                    return (a.row < b.row) ? -1 : 1;
+                }
+
+                if( a.column != b.column ) {
+                    return (a.column < b.column) ? -1 : 1;
+                }
+
+                return 0;
+            } );
+
+            var elements = [],
+                rowPointer = MatrixUtils.repeat( __rows + 1, 0 ),
+                columnIndicator = [],
+                lastRow = 1;
+
+            for( var i = 0; i < __values.length; i++ ) {
+                var current = __values[i];
+
+                elements[i] = current.value;
+                columnIndicator[i] = current.column;
+
+                if( rowPointer[current.row] === 0 ) {
+                    for( var k = lastRow + 1; k <= current.row; k++ ) {
+                        rowPointer[k] = rowPointer[k - 1];
+                    }
+                }
+
+                rowPointer[current.row]++;
+                lastRow = current.row;
+            }
+
+            rowPointer[__rows] = columnIndicator.length;
+            return new SparseMatrix( __rows, __columns, elements, columnIndicator, rowPointer );
+        };
+    }
+
+    /**
+     * Result of {@link Matrix.prototype.decomposeLU}, representing the factorization P * A = L * U.
+     * @param {Matrix} L Lower triangular matrix with unit diagonal
+     * @param {Matrix} U Upper triangular matrix
+     * @param {Matrix} P Permutation matrix
+     * @param {Array.<number>} permutation Permutation vector, i.e. row i of P * A is row permutation[i] of A
+     * @param {number} sign Sign of the permutation, i.e. 1 for an even and -1 for an odd number of row swaps
+     * @constructor
+     */
+    function LUDecomposition (L, U, P, permutation, sign) {
+        /** @expose */
+        this.L = L;
+
+        /** @expose */
+        this.U = U;
+
+        /** @expose */
+        this.P = P;
+
+        /** @expose */
+        this.permutation = permutation;
+
+        /** @expose */
+        this.sign = sign;
+    }
+
+    /* Matrix */
+
+    /**
+     * Get an entry from the matrix.
+     * @param {number} row
+     * @param {number} column
+     * @returns {number}
+     */
+    Matrix.prototype.get = function (row, column) {
+        if( !this.isInRange( row, column ) ) {
+            throw new MatrixError( MatrixError.ErrorCodes.OUT_OF_BOUNDS );
+        }
+
+        return this.___get( row, column );
+    };
+
+    /**
+     * Set an entry in the matrix.
+     * Note: This function modifies the instance it is called on.
+     * @param {number} row
+     * @param {number} column
+     * @param {number} value
+     * @returns {Matrix}
+     */
+    Matrix.prototype.set = function (row, column, value) {
+        if( !this.isInRange( row, column ) ) {
+            throw new MatrixError( MatrixError.ErrorCodes.OUT_OF_BOUNDS );
+        }
+
+        if( !isNumber( value ) ) {
+            throw new MatrixError( MatrixError.ErrorCodes.INVALID_PARAMETERS, 'Value has to be a number' );
+        }
+
+        return this.___set( row, column, value );
+    };
+
+    /**
+     * Get a row.
+     * @param {number} row The row index of the row that shall be returned
+     * @returns {Array.<number>|Matrix}
+     */
+    Matrix.prototype.getRow = function (row) {
+        if( !this.isInRange( row, null ) ) {
+            throw new MatrixError( MatrixError.ErrorCodes.OUT_OF_BOUNDS );
+        }
+
+        return this.__getRow( row );
+    };
+
+    /**
+     * @private
+     * @ignore
+     */
+    Matrix.prototype.__getRow = function (row) {
+        var result = [],
+            columns = this.columns();
+
+        for( var i = 1; i <= columns; i++ ) {
+            result.push( this.___get( row, i ) );
+        }
+
+        return result;
+    };
+
+    /**
+     * Replace a row.
+     * Note: This function modifies the instance it is called on.
+     * @param {number} row The row index of the row to replace
+     * @param {(Array.<number>|Matrix)} entries An array or Matrix containing the new entries for the row
+     * @returns {Matrix}
+     */
+    Matrix.prototype.setRow = function (row, entries) {
+        entries = toArray( entries );
+
+        if( !this.isInRange( row, null ) ) {
+            throw new MatrixError( MatrixError.ErrorCodes.OUT_OF_BOUNDS );
+        }
+
+        if( entries.length !== this.columns() ) {
+            throw new MatrixError( MatrixError.ErrorCodes.INVALID_PARAMETERS, 'Wrong number of columns in row.' );
+        }
+
+        return this.__setRow( row, entries );
+    };
+
+    /**
+     * @private
+     * @ignore
+     */
+    Matrix.prototype.__setRow = function (row, entries) {
+        var columns = this.columns();
+
+        for( var i = 1; i <= columns; i++ ) {
+            this.___set( row, i, entries[i - 1] );
+        }
+
+        return this;
+    };
+
+    /**
+     * Get a column.
+     * @param {number} column The column index of the column that shall be returned
+     * @returns {Array.<number>}
+     */
+    Matrix.prototype.getColumn = function (column) {
+        if( !this.isInRange( null, column ) ) {
+            throw new MatrixError( MatrixError.ErrorCodes.OUT_OF_BOUNDS );
+        }
+
+        return this.__getColumn( column );
+    };
+
+    /**
+     * @private
+     * @ignore
+     */
+    Matrix.prototype.__getColumn = function (column) {
+        var result = [],
+            rows = this.rows();
+
+        for( var i = 1; i <= rows; i++ ) {
+            result.push( this.___get( i, column ) );
+        }
+
+        return result;
+    };
+
+    /**
+     * Replace a column.
+     * Note: This function modifies the instance it is called on.
+     * @param {number} column The column index of the column to replace
+     * @param {(Array.<number>|Matrix)} entries An array or matrix containing the new entries for the column
+     * @returns {Matrix}
+     */
+    Matrix.prototype.setColumn = function (column, entries) {
+        entries = toArray( entries );
+
+        if( !this.isInRange( null, column ) ) {
+            throw new MatrixError( MatrixError.ErrorCodes.OUT_OF_BOUNDS );
+        }
+
+        if( entries.length !== this.rows() ) {
+            throw new MatrixError( MatrixError.ErrorCodes.INVALID_PARAMETERS, 'Wrong number of rows in column' );
+        }
+
+        return this.__setColumn( column, entries );
+    };
+
+    /**
+     * @private
+     * @ignore
+     */
+    Matrix.prototype.__setColumn = function (column, entries) {
+        var rows = this.rows();
+
+        for( var i = 1; i <= rows; i++ ) {
+            this.___set( i, column, entries[i - 1] );
+        }
+
+        return this;
+    };
+
+    /**
+     * Check if matrix has the same dimensions as another matrix.
+     * @param {Matrix} M
+     * @returns {boolean}
+     */
+    Matrix.prototype.isSameSizeAs = function (M) {
+        return ( this.rows() === M.rows() && this.columns() === M.columns() );
+    };
+
+    /**
+     * Check if the matrix is a square matrix.
+     * @returns {boolean} True if the number of rows and columns equal, false otherwise.
+     */
+    Matrix.prototype.isSquare = function () {
+        return this.rows() === this.columns();
+    };
+
+    /**
+     * Check if the matrix is a vector, i.e. has only one row or only one column.
+     * @returns {boolean}
+     */
+    Matrix.prototype.isVector = function () {
+        return isVectorSized( this );
+    };
+
+    /**
+     * Check if the matrix is symmetric.
+     * @returns {boolean}
+     */
+    Matrix.prototype.isSymmetric = function () {
+        if( !this.isSquare() ) {
+            throw new MatrixError( MatrixError.ErrorCodes.DIMENSION_MISMATCH, 'Matrix must be square' );
+        }
+
+        var rows = this.rows();
+
+        // shifted loop start because the diagonal doesn't need to be checked
+        for( var i = 2; i <= rows; i++ ) {
+            for( var j = 1; j < i; j++ ) {
+                if( this.___get( i, j ) !== this.___get( j, i ) ) {
+                    return false;
+                }
+            }
+        }
+
+        return true;
+    };
+
+    /**
+     * Check if matrix is triangular.
+     * @param {string} [mode='both'] What kind of triangular matrix to check for. Possible values are:
+     *  - 'lower': True if lower triangular matrix, false otherwise
+     *  - 'upper': True if upper triangular matrix, false otherwise
+     *  - 'both': True if either lower or upper triangular, false otherwise
+     * @returns {boolean}
+     */
+    Matrix.prototype.isTriangular = function (mode) {
+        mode = getStringWithDefault( mode, MatrixUtils.options.isTriangular.mode );
+
+        if( !this.isSquare() ) {
+            throw new MatrixError( MatrixError.ErrorCodes.DIMENSION_MISMATCH, 'Matrix must be square' );
+        }
+
+        switch( mode.toLowerCase() ) {
+            case 'lower':
+                return this.__isTriangular( false );
+            case 'upper':
+                return this.__isTriangular( true );
+            case 'both':
+                return ( this.__isTriangular( true ) || this.__isTriangular( false ) );
+            default:
+                throw new MatrixError( MatrixError.ErrorCodes.INVALID_PARAMETERS, 'Mode not supported' );
+        }
+    };
+
+    /**
+     * @private
+     * @ignore
+     */
+    Matrix.prototype.__isTriangular = function (upper) {
+        var sign = (upper) ? 1 : -1,
+            diag, num_diag,
+            rows = this.rows();
+
+        for( var i = 1; i < rows; i++ ) {
+            diag = this.diag( sign * i );
+            num_diag = diag.length;
+
+            for( var j = 0; j < num_diag; j++ ) {
+                if( diag[j] !== 0 ) {
+                    return false;
+                }
+            }
+        }
+
+        return true;
+    };
+
+    /**
+     * Return a copy of the matrix. This prevents accidental usage of references.
+     * @returns {Matrix}
+     */
+    Matrix.prototype.copy = function () {
+        return new Matrix( this.toArray(), this.rows(), this.columns(), { dtype: this.dtype() } );
+    };
+
+    /**
+     * Returns the number of elements in the matrix.
+     * @returns {number}
+     */
+    Matrix.prototype.size = function () {
+        return this.rows() * this.columns();
+    };
+
+    /**
+     * Get the dimensions of the matrix.
+     * @param {(number|string)} which Define which dimension should be returned. Possible values are:
+     *  - 1 or 'rows' : Number of rows
+     *  - 2 or 'columns' : Number of columns
+     *  - 'max' : Dominant dimension
+     *  - 'min' : Smaller dimension
+     * @returns {number} Object with the dimensions of requested dimension or just
+     * the requested dimension.
+     */
+    Matrix.prototype.dim = function (which) {
+        switch( which ) {
+            case 1:
+            case 'rows':
+                return this.rows();
+            case 2:
+            case 'columns':
+                return this.columns();
+            case 'max':
+                return Math.max( this.rows(), this.columns() );
+            case 'min':
+                return Math.min( this.rows(), this.columns() );
+            default:
+                throw new MatrixError( MatrixError.ErrorCodes.INVALID_PARAMETERS, 'Parameter must match a known value' );
+        }
+    };
+
+    /**
+     * Add a matrix or a scalar.
+     * If more than one matrix is passed, they will be added in order, i.e. this + M + N + ...
+     * A scalar, a 1xn row or a mx1 column will be broadcast, i.e. stretched across the other operand.
+     * @param {(Matrix|number)} M Matrix or scalar
+     * @returns {Matrix} Component-wise sum of this and M.
+     */
+    Matrix.prototype.add = function (M) {
+        var rows = this.rows(),
+            columns = this.columns();
+
+        if( arguments.length > 1 ) {
+            var args = copyArray( arguments );
+            return this.add.apply( this.add( args.shift() ), args );
+        }
+
+        if( isNumber( M ) || !this.isSameSizeAs( M ) ) {
+            return broadcast( this, M, function (a, b) {
+                return a + b;
+            } );
+        }
+
+        var Result = new Matrix( rows, columns, { dtype: this.dtype() } ),
+            rowA, rowB;
+
+        for( var i = 1; i <= rows; i++ ) {
+            rowA = this.__getRow( i );
+            rowB = M.__getRow( i );
+
+            for( var j = 0; j < columns; j++ ) {
+                rowA[j] += rowB[j];
+            }
+
+            Result.__setRow( i, rowA );
+        }
+
+        return Result;
+    };
+
+    /**
+     * Add a matrix in place, i.e. without allocating a new matrix.
+     * Note: This function modifies the instance it is called on.
+     * @param {(Matrix|SparseMatrix)} M Matrix of the same size
+     * @returns {Matrix} The instance the function was called on.
+     */
+    Matrix.prototype.addInPlace = function (M) {
+        if( !this.isSameSizeAs( M ) ) {
+            throw new MatrixError( MatrixError.ErrorCodes.DIMENSION_MISMATCH, 'Matrices must be of the same size' );
+        }
+
+        var elements = this.___getElements(),
+            other = getRowMajorElements( M );
+
+        for( var i = 0; i < elements.length; i++ ) {
+            elements[i] += other[i];
+        }
+
+        return this;
+    };
+
+    /**
+     * Subtract a matrix or a scalar.
+     * If more than one matrix is passed, they wll be subtracted in order, i.e. this - M - N - ...
+     * A scalar, a 1xn row or a mx1 column will be broadcast, i.e. stretched across the other operand.
+     * @param {(Matrix|number)} M Matrix or scalar
+     * @returns {Matrix} Component-wise difference of this and M.
+     */
+    Matrix.prototype.subtract = function (M) {
+        var rows = this.rows(),
+            columns = this.columns();
+
+        if( arguments.length > 1 ) {
+            var args = copyArray( arguments );
+            return this.subtract.apply( this.subtract( args.shift() ), args );
+        }
+
+        if( isNumber( M ) || !this.isSameSizeAs( M ) ) {
+            return broadcast( this, M, function (a, b) {
+                return a - b;
+            } );
+        }
+
+        var Result = new Matrix( rows, columns, { dtype: this.dtype() } ),
+            rowA, rowB;
+
+        for( var i = 1; i <= rows; i++ ) {
+            rowA = this.__getRow( i );
+            rowB = M.__getRow( i );
+
+            for( var j = 0; j < columns; j++ ) {
+                rowA[j] -= rowB[j];
+            }
+
+            Result.__setRow( i, rowA );
+        }
+
+        return Result;
+    };
+
+    /**
+     * Subtract a matrix in place, i.e. without allocating a new matrix.
+     * Note: This function modifies the instance it is called on.
+     * @param {(Matrix|SparseMatrix)} M Matrix of the same size
+     * @returns {Matrix} The instance the function was called on.
+     */
+    Matrix.prototype.subtractInPlace = function (M) {
+        if( !this.isSameSizeAs( M ) ) {
+            throw new MatrixError( MatrixError.ErrorCodes.DIMENSION_MISMATCH, 'Matrices must be of the same size' );
+        }
+
+        var elements = this.___getElements(),
+            other = getRowMajorElements( M );
+
+        for( var i = 0; i < elements.length; i++ ) {
+            elements[i] -= other[i];
+        }
+
+        return this;
+    };
+
+    /**
+     * Scale with a constant factor (i.e. calculate k * this)
+     * @param {number} k Factor
+     * @returns {Matrix} Matrix with all entries multiplied by k.
+     */
+    Matrix.prototype.scale = function (k) {
+        if( !isNumber( k ) ) {
+            throw new MatrixError( MatrixError.ErrorCodes.INVALID_PARAMETERS, 'Parameter must be a number' );
+        }
+
+        var rows = this.rows(),
+            columns = this.columns();
+
+        // Trivial cases in which we can spare the multiplications
+        if( k === 0 ) {
+            return new Matrix( rows, columns, { dtype: this.dtype() } );
+        }
+
+        if( k === 1 ) {
+            return this;
+        }
+
+        return this.fun( function (value) {
+            return k * value;
+        } );
+    };
+
+    /**
+     * Scale with a constant factor in place, i.e. without allocating a new matrix.
+     * Note: This function modifies the instance it is called on.
+     * @param {number} k Factor
+     * @returns {Matrix} The instance the function was called on.
+     */
+    Matrix.prototype.scaleInPlace = function (k) {
+        if( !isNumber( k ) ) {
+            throw new MatrixError( MatrixError.ErrorCodes.INVALID_PARAMETERS, 'Parameter must be a number' );
+        }
+
+        var elements = this.___getElements();
+        for( var i = 0; i < elements.length; i++ ) {
+            elements[i] *= k;
+        }
+
+        return this;
+    };
+
+    /**
+     * Multiply with another matrix.
+     * The right operand is packed column by column into a flat array once, afterwards the product is computed
+     * directly on the row-major element storage with a blocked loop order. The block size can be configured through
+     * {@link MatrixUtils.options.multiply.blockSize}. Partial sums are accumulated in double precision regardless of
+     * the dtype and only stored once per block.
+     * @param {(Matrix|SparseMatrix)} M
+     * @returns {Matrix}
+     */
+    Matrix.prototype.multiply = function (M) {
+        var dimOuterLeft = this.rows(),
+            dimInner = this.columns(),
+            dimOuterRight = M.columns();
+
+        if( dimInner !== M.rows() ) {
+            throw new MatrixError( MatrixError.ErrorCodes.DIMENSION_MISMATCH, 'Inner dimensions must match' );
+        }
+
+        var Result = new Matrix( dimOuterLeft, dimOuterRight, { dtype: this.dtype() } ),
+            result = Result.___getElements(),
+            left = this.___getElements(),
+            packed = this.__packColumns( M ),
+            blockSize = MatrixUtils.options.multiply.blockSize,
+            // partial sums of the current output block, kept as doubles even if the result is stored as float32
+            sums = (typeof Float64Array !== 'undefined') ? new Float64Array( blockSize * blockSize )
+                : MatrixUtils.repeat( blockSize * blockSize, 0 );
+
+        var i, j, k, iBlock, jBlock, kBlock, iEnd, jEnd, kEnd, leftOffset, packedOffset, sumOffset, sum;
+
+        for( iBlock = 0; iBlock < dimOuterLeft; iBlock += blockSize ) {
+            iEnd = Math.min( iBlock + blockSize, dimOuterLeft );
+
+            for( jBlock = 0; jBlock < dimOuterRight; jBlock += blockSize ) {
+                jEnd = Math.min( jBlock + blockSize, dimOuterRight );
+
+                for( i = 0; i < sums.length; i++ ) {
+                    sums[i] = 0;
+                }
+
+                for( kBlock = 0; kBlock < dimInner; kBlock += blockSize ) {
+                    kEnd = Math.min( kBlock + blockSize, dimInner );
+
+                    for( i = iBlock; i < iEnd; i++ ) {
+                        leftOffset = i * dimInner;
+                        sumOffset = (i - iBlock) * blockSize - jBlock;
+
+                        for( j = jBlock; j < jEnd; j++ ) {
+                            packedOffset = j * dimInner;
+
+                            // continue the running sum so the summation order doesn't depend on the block size
+                            sum = sums[sumOffset + j];
+                            for( k = kBlock; k < kEnd; k++ ) {
+                                sum += left[leftOffset + k] * packed[packedOffset + k];
+                            }
+
+                            sums[sumOffset + j] = sum;
+                        }
                     }
                 }
 
-                rowPointer[current.row]++;
-                lastRow = current.row;
+                for( i = iBlock; i < iEnd; i++ ) {
+                    sumOffset = (i - iBlock) * blockSize - jBlock;
+
+                    for( j = jBlock; j < jEnd; j++ ) {
+                        result[i * dimOuterRight + j] = sums[sumOffset + j];
+                    }
+                }
             }
+        }
 
-            rowPointer[__rows] = columnIndicator.length;
-            return new SparseMatrix( __rows, __columns, elements, columnIndicator, rowPointer );
-        };
-    }
+        if( (this instanceof Vector || M instanceof Vector) && isVectorSized( Result ) ) {
+            return new Vector( Result );
+        }
 
-    /* Matrix */
+        return Result;
+    };
 
     /**
-     * Get an entry from the matrix.
-     * @param {number} row
-     * @param {number} column
-     * @returns {number}
+     * Packs the columns of M into a flat array, i.e. the storage of M^T.
+     * @private
+     * @ignore
      */
-    Matrix.prototype.get = function (row, column) {
-        if( !this.isInRange( row, column ) ) {
-            throw new MatrixError( MatrixError.ErrorCodes.OUT_OF_BOUNDS );
+    Matrix.prototype.__packColumns = function (M) {
+        var rows = M.rows(),
+            columns = M.columns(),
+            packed = (typeof Float64Array !== 'undefined') ? new Float64Array( rows * columns )
+                : MatrixUtils.repeat( rows * columns, 0 ),
+            elements, row, i, j;
+
+        if( M instanceof Matrix ) {
+            elements = M.___getElements();
+
+            for( i = 0; i < rows; i++ ) {
+                for( j = 0; j < columns; j++ ) {
+                    packed[j * rows + i] = elements[i * columns + j];
+                }
+            }
+        } else {
+            for( i = 0; i < rows; i++ ) {
+                row = M.__getRow( i + 1 );
+
+                for( j = 0; j < columns; j++ ) {
+                    packed[j * rows + i] = row[j];
+                }
+            }
         }
 
-        return this.___get( row, column );
+        return packed;
     };
 
     /**
-     * Set an entry in the matrix.
-     * Note: This function modifies the instance it is called on.
-     * @param {number} row
-     * @param {number} column
-     * @param {number} value
+     * Transpose the matrix, i.e. take the rows as the columns of the resulting matrix.
      * @returns {Matrix}
      */
-    Matrix.prototype.set = function (row, column, value) {
-        if( !this.isInRange( row, column ) ) {
-            throw new MatrixError( MatrixError.ErrorCodes.OUT_OF_BOUNDS );
-        }
+    Matrix.prototype.transpose = function () {
+        var rows = this.rows(),
+            Result = new Matrix( this.columns(), rows, { dtype: this.dtype() } );
 
-        if( !isNumber( value ) ) {
-            throw new MatrixError( MatrixError.ErrorCodes.INVALID_PARAMETERS, 'Value has to be a number' );
+        for( var i = 1; i <= rows; i++ ) {
+            Result.__setColumn( i, this.__getRow( i ) );
         }
 
-        return this.___set( row, column, value );
+        return Result;
     };
 
     /**
-     * Get a row.
-     * @param {number} row The row index of the row that shall be returned
-     * @returns {Array.<number>|Matrix}
+     * Calculate the trace, i.e. the sum of all diagonal entries.
+     * @returns {number} Sum of diagonal entries.
      */
-    Matrix.prototype.getRow = function (row) {
-        if( !this.isInRange( row, null ) ) {
-            throw new MatrixError( MatrixError.ErrorCodes.OUT_OF_BOUNDS );
+    Matrix.prototype.trace = function () {
+        if( !this.isSquare() ) {
+            throw new MatrixError( MatrixError.ErrorCodes.DIMENSION_MISMATCH, 'Matrix must be square' );
         }
 
-        return this.__getRow( row );
+        var rows = this.rows(),
+            trace = 0;
+
+        for( var i = 1; i <= rows; i++ ) {
+            trace += this.___get( i, i );
+        }
+
+        return trace;
     };
 
     /**
-     * @private
-     * @ignore
+     * Calculate the sum of the entries.
+     * @param {string} [axis=MatrixUtils.options.aggregate.axis] 'columns' to aggregate each column, 'rows' to aggregate
+     * each row or 'all' to aggregate all entries
+     * @returns {(Vector|number)} A row vector with one entry per column, a column vector with one entry per row or
+     * a number.
      */
-    Matrix.prototype.__getRow = function (row) {
-        var result = [],
-            columns = this.columns();
-
-        for( var i = 1; i <= columns; i++ ) {
-            result.push( this.___get( row, i ) );
-        }
+    Matrix.prototype.sum = function (axis) {
+        return aggregate( this, axis, sumArray );
+    };
 
-        return result;
+    /**
+     * Calculate the product of the entries.
+     * @param {string} [axis=MatrixUtils.options.aggregate.axis] See {@link Matrix.prototype.sum}
+     * @returns {(Vector|number)}
+     */
+    Matrix.prototype.prod = function (axis) {
+        return aggregate( this, axis, prodArray );
     };
 
     /**
-     * Replace a row.
-     * Note: This function modifies the instance it is called on.
-     * @param {number} row The row index of the row to replace
-     * @param {(Array.<number>|Matrix)} entries An array or Matrix containing the new entries for the row
-     * @returns {Matrix}
+     * Calculate the arithmetic mean of the entries.
+     * @param {string} [axis=MatrixUtils.options.aggregate.axis] See {@link Matrix.prototype.sum}
+     * @returns {(Vector|number)}
      */
-    Matrix.prototype.setRow = function (row, entries) {
-        entries = toArray( entries );
+    Matrix.prototype.mean = function (axis) {
+        return aggregate( this, axis, meanArray );
+    };
 
-        if( !this.isInRange( row, null ) ) {
-            throw new MatrixError( MatrixError.ErrorCodes.OUT_OF_BOUNDS );
-        }
+    /**
+     * Find the smallest entry.
+     * @param {string} [axis=MatrixUtils.options.aggregate.axis] See {@link Matrix.prototype.sum}
+     * @returns {(Vector|number)}
+     */
+    Matrix.prototype.min = function (axis) {
+        return aggregate( this, axis, minArray );
+    };
 
-        if( entries.length !== this.columns() ) {
-            throw new MatrixError( MatrixError.ErrorCodes.INVALID_PARAMETERS, 'Wrong number of columns in row.' );
-        }
+    /**
+     * Find the largest entry.
+     * @param {string} [axis=MatrixUtils.options.aggregate.axis] See {@link Matrix.prototype.sum}
+     * @returns {(Vector|number)}
+     */
+    Matrix.prototype.max = function (axis) {
+        return aggregate( this, axis, maxArray );
+    };
 
-        return this.__setRow( row, entries );
+    /**
+     * Find the index of the smallest entry. If it occurs more than once, the first index is returned.
+     * For axis 'all', the index counts the entries from left to right, top to bottom.
+     * @param {string} [axis=MatrixUtils.options.aggregate.axis] See {@link Matrix.prototype.sum}
+     * @returns {(Vector|number)}
+     */
+    Matrix.prototype.argmin = function (axis) {
+        return aggregate( this, axis, argminArray );
     };
 
     /**
-     * @private
-     * @ignore
+     * Find the index of the largest entry. If it occurs more than once, the first index is returned.
+     * For axis 'all', the index counts the entries from left to right, top to bottom.
+     * @param {string} [axis=MatrixUtils.options.aggregate.axis] See {@link Matrix.prototype.sum}
+     * @returns {(Vector|number)}
      */
-    Matrix.prototype.__setRow = function (row, entries) {
-        var columns = this.columns();
+    Matrix.prototype.argmax = function (axis) {
+        return aggregate( this, axis, argmaxArray );
+    };
 
-        for( var i = 1; i <= columns; i++ ) {
-            this.___set( row, i, entries[i - 1] );
-        }
+    /**
+     * Calculate the cumulative sum of the entries.
+     * For axis 'all', the entries are accumulated from left to right, top to bottom.
+     * @param {string} [axis=MatrixUtils.options.aggregate.axis] 'columns' to accumulate along each column, 'rows' to
+     * accumulate along each row or 'all' to accumulate all entries
+     * @returns {Matrix} Matrix of the same size with the accumulated entries.
+     */
+    Matrix.prototype.cumsum = function (axis) {
+        return accumulate( this, axis, cumsumArray );
+    };
 
-        return this;
+    /**
+     * Calculate the cumulative product of the entries.
+     * For axis 'all', the entries are accumulated from left to right, top to bottom.
+     * @param {string} [axis=MatrixUtils.options.aggregate.axis] See {@link Matrix.prototype.cumsum}
+     * @returns {Matrix} Matrix of the same size with the accumulated entries.
+     */
+    Matrix.prototype.cumprod = function (axis) {
+        return accumulate( this, axis, cumprodArray );
     };
 
     /**
-     * Get a column.
-     * @param {number} column The column index of the column that shall be returned
-     * @returns {Array.<number>}
+     * Calculate the variance. The statistical functions treat rows as observations and columns as variables.
+     * @param {string} [axis=MatrixUtils.options.statistics.axis] 'columns' for the variance of each variable, 'rows' for
+     * the variance of each observation or 'all' for the variance of all entries
+     * @param {string} [normalization=MatrixUtils.options.statistics.normalization] 'sample' to normalize by n - 1
+     * (unbiased estimator) or 'population' to normalize by n
+     * @returns {(Vector|number)} A row vector with one entry per column, a column vector with one entry per row or
+     * a number.
      */
-    Matrix.prototype.getColumn = function (column) {
-        if( !this.isInRange( null, column ) ) {
-            throw new MatrixError( MatrixError.ErrorCodes.OUT_OF_BOUNDS );
-        }
+    Matrix.prototype['var'] = function (axis, normalization) {
+        var offset = getNormalizationOffset( normalization );
 
-        return this.__getColumn( column );
+        return aggregate( this, getStringWithDefault( axis, MatrixUtils.options.statistics.axis ), function (arr) {
+            return varianceArray( arr, offset );
+        } );
     };
 
     /**
-     * @private
-     * @ignore
+     * Calculate the standard deviation.
+     * @param {string} [axis=MatrixUtils.options.statistics.axis] See {@link Matrix.prototype.var}
+     * @param {string} [normalization=MatrixUtils.options.statistics.normalization] See {@link Matrix.prototype.var}
+     * @returns {(Vector|number)}
      */
-    Matrix.prototype.__getColumn = function (column) {
-        var result = [],
-            rows = this.rows();
-
-        for( var i = 1; i <= rows; i++ ) {
-            result.push( this.___get( i, column ) );
-        }
+    Matrix.prototype.std = function (axis, normalization) {
+        var offset = getNormalizationOffset( normalization );
 
-        return result;
+        return aggregate( this, getStringWithDefault( axis, MatrixUtils.options.statistics.axis ), function (arr) {
+            return Math.sqrt( varianceArray( arr, offset ) );
+        } );
     };
 
     /**
-     * Replace a column.
-     * Note: This function modifies the instance it is called on.
-     * @param {number} column The column index of the column to replace
-     * @param {(Array.<number>|Matrix)} entries An array or matrix containing the new entries for the column
-     * @returns {Matrix}
+     * Calculate the median.
+     * @param {string} [axis=MatrixUtils.options.statistics.axis] See {@link Matrix.prototype.var}
+     * @returns {(Vector|number)}
      */
-    Matrix.prototype.setColumn = function (column, entries) {
-        entries = toArray( entries );
+    Matrix.prototype.median = function (axis) {
+        return this.percentile( 50, axis );
+    };
 
-        if( !this.isInRange( null, column ) ) {
-            throw new MatrixError( MatrixError.ErrorCodes.OUT_OF_BOUNDS );
+    /**
+     * Calculate a percentile. Values between two entries are interpolated linearly.
+     * @param {number} p Percentile between 0 and 100
+     * @param {string} [axis=MatrixUtils.options.statistics.axis] See {@link Matrix.prototype.var}
+     * @returns {(Vector|number)}
+     */
+    Matrix.prototype.percentile = function (p, axis) {
+        if( !isNumber( p ) || !(p >= 0 && p <= 100) ) {
+            throw new MatrixError( MatrixError.ErrorCodes.INVALID_PARAMETERS, 'Percentile must be between 0 and 100' );
         }
 
-        if( entries.length !== this.rows() ) {
-            throw new MatrixError( MatrixError.ErrorCodes.INVALID_PARAMETERS, 'Wrong number of rows in column' );
-        }
+        return aggregate( this, getStringWithDefault( axis, MatrixUtils.options.statistics.axis ), function (arr) {
+            return percentileArray( arr, p );
+        } );
+    };
 
-        return this.__setColumn( column, entries );
+    /**
+     * Calculate the covariance matrix of the variables (columns).
+     * @param {string} [normalization=MatrixUtils.options.statistics.normalization] See {@link Matrix.prototype.var}
+     * @returns {Matrix} Symmetric matrix C with C(i,j) being the covariance of the i-th and j-th variable.
+     */
+    Matrix.prototype.cov = function (normalization) {
+        var offset = getNormalizationOffset( normalization ),
+            Centered = this.subtract( this.mean( 'columns' ) );
+
+        return Centered.transpose().multiply( Centered ).scale( 1 / (this.rows() - offset) );
     };
 
     /**
-     * @private
-     * @ignore
+     * Calculate the matrix of Pearson correlation coefficients of the variables (columns).
+     * The correlation with a variable without variance is undefined, so its row and column are filled with NaN.
+     * @returns {Matrix} Symmetric matrix R with R(i,j) being the correlation of the i-th and j-th variable.
      */
-    Matrix.prototype.__setColumn = function (column, entries) {
-        var rows = this.rows();
+    Matrix.prototype.corrcoef = function () {
+        var C = this.cov(),
+            columns = C.columns(),
+            R = new Matrix( columns, columns, { dtype: this.dtype() } );
 
-        for( var i = 1; i <= rows; i++ ) {
-            this.___set( i, column, entries[i - 1] );
+        for( var i = 1; i <= columns; i++ ) {
+            for( var j = 1; j <= columns; j++ ) {
+                R.___set( i, j, C.___get( i, j ) / Math.sqrt( C.___get( i, i ) * C.___get( j, j ) ) );
+            }
         }
 
-        return this;
+        return R;
     };
 
     /**
-     * Check if matrix has the same dimensions as another matrix.
-     * @param {Matrix} M
-     * @returns {boolean}
+     * Standardize the variables, i.e. calculate the z-score of each entry with respect to its column.
+     * Columns without variance are only centered. This includes a single observation with sample normalization,
+     * for which the standard deviation is undefined.
+     * @param {string} [normalization=MatrixUtils.options.statistics.normalization] See {@link Matrix.prototype.var}
+     * @returns {Matrix} Matrix whose columns have zero mean and unit standard deviation.
      */
-    Matrix.prototype.isSameSizeAs = function (M) {
-        return ( this.rows() === M.rows() && this.columns() === M.columns() );
+    Matrix.prototype.standardize = function (normalization) {
+        var std = this.std( 'columns', normalization ).fun( function (value) {
+            return (value === 0 || !isFinite( value )) ? 1 : value;
+        } );
+
+        return this.subtract( this.mean( 'columns' ) ).pw_divide( std );
     };
 
     /**
-     * Check if the matrix is a square matrix.
-     * @returns {boolean} True if the number of rows and columns equal, false otherwise.
+     * Performs a LU decomposition with partial pivoting, i.e. P * this = L * U. The matrix may be rectangular.
+     * @returns {LUDecomposition} Factorization that provides the factors and can be reused to solve systems,
+     * compute the determinant or the inverse.
      */
-    Matrix.prototype.isSquare = function () {
-        return this.rows() === this.columns();
+    Matrix.prototype.decomposeLU = function () {
+        var rows = this.rows(),
+            columns = this.columns(),
+            steps = Math.min( rows, columns ),
+            permutation = MatrixUtils.linspace( 1, rows ),
+            sign = 1,
+            A = [];
+
+        var i, j, k, pivot, factor, temp;
+
+        for( i = 1; i <= rows; i++ ) {
+            A.push( this.__getRow( i ) );
+        }
+
+        for( k = 0; k < steps; k++ ) {
+            pivot = k;
+            for( i = k + 1; i < rows; i++ ) {
+                if( Math.abs( A[i][k] ) > Math.abs( A[pivot][k] ) ) {
+                    pivot = i;
+                }
+            }
+
+            if( pivot !== k ) {
+                temp = A[pivot];
+                A[pivot] = A[k];
+                A[k] = temp;
+
+                temp = permutation[pivot];
+                permutation[pivot] = permutation[k];
+                permutation[k] = temp;
+
+                sign = -sign;
+            }
+
+            // if the pivot is zero, the remaining column is zero as well and there is nothing to eliminate
+            if( A[k][k] === 0 ) {
+                continue;
+            }
+
+            for( i = k + 1; i < rows; i++ ) {
+                factor = A[i][k] / A[k][k];
+                A[i][k] = factor;
+
+                for( j = k + 1; j < columns; j++ ) {
+                    A[i][j] -= factor * A[k][j];
+                }
+            }
+        }
+
+        var L = new Matrix( rows, steps, { dtype: this.dtype() } ),
+            U = new Matrix( steps, columns, { dtype: this.dtype() } ),
+            P = new Matrix( rows, rows, { dtype: this.dtype() } );
+
+        for( i = 1; i <= rows; i++ ) {
+            for( j = 1; j <= columns; j++ ) {
+                if( i > j && j <= steps ) {
+                    L.___set( i, j, A[i - 1][j - 1] );
+                } else if( i <= steps ) {
+                    U.___set( i, j, A[i - 1][j - 1] );
+                }
+            }
+
+            if( i <= steps ) {
+                L.___set( i, i, 1 );
+            }
+
+            P.___set( i, permutation[i - 1], 1 );
+        }
+
+        return new LUDecomposition( L, U, P, permutation, sign );
     };
 
     /**
-     * Check if the matrix is symmetric.
-     * @returns {boolean}
+     * Performs a QR decomposition using Householder reflections.
+     * @param {boolean} [economy=false] If true and the matrix has more rows than columns, only the first n columns
+     * of Q and the first n rows of R will be returned (where n is the number of columns).
+     * @returns {{Q: Matrix, R: Matrix}} Object with the orthogonal matrix Q and the upper triangular matrix R such
+     * that this = Q * R.
      */
-    Matrix.prototype.isSymmetric = function () {
-        if( !this.isSquare() ) {
-            throw new MatrixError( MatrixError.ErrorCodes.DIMENSION_MISMATCH, 'Matrix must be square' );
+    Matrix.prototype.decomposeQR = function (economy) {
+        economy = getBooleanWithDefault( economy, MatrixUtils.options.decomposeQR.economy );
+
+        var rows = this.rows(),
+            columns = this.columns(),
+            householder = this.__decomposeHouseholder(),
+            reflectors = householder.reflectors,
+            R = householder.R,
+            qColumns = (economy && rows > columns) ? columns : rows,
+            Q = new Matrix( rows, qColumns, { dtype: this.dtype() } );
+
+        for( var i = 1; i <= qColumns; i++ ) {
+            Q.___set( i, i, 1 );
         }
 
-        var rows = this.rows();
+        // Q = H_1 * ... * H_k * I, so only the requested columns of Q are ever formed
+        for( var k = reflectors.length - 1; k >= 0; k-- ) {
+            applyReflector( Q, reflectors[k], 1 );
+        }
 
-        // shifted loop start because the diagonal doesn't need to be checked
-        for( var i = 2; i <= rows; i++ ) {
-            for( var j = 1; j < i; j++ ) {
-                if( this.___get( i, j ) !== this.___get( j, i ) ) {
-                    return false;
-                }
+        if( qColumns < rows ) {
+            R = R.submatrix( 1, columns, 1, columns );
+        }
+
+        return {
+            /** @expose */ Q: Q,
+            /** @expose */ R: R
+        };
+    };
+
+    /**
+     * Reduces the matrix to upper triangular form R = H_k * ... * H_1 * this with Householder reflections H_i.
+     * @private
+     * @ignore
+     * @returns {{R: Matrix, reflectors: Array.<?{start: number, v: Array.<number>, vNorm2: number}>}}
+     */
+    Matrix.prototype.__decomposeHouseholder = function () {
+        var rows = this.rows(),
+            columns = this.columns(),
+            R = this.copy(),
+            reflectors = [];
+
+        var i, k, v, norm, vNorm2, reflector,
+            steps = Math.min( rows - 1, columns );
+
+        for( k = 1; k <= steps; k++ ) {
+            v = R.__getColumn( k ).slice( k - 1 );
+
+            norm = 0;
+            for( i = 0; i < v.length; i++ ) {
+                norm += v[i] * v[i];
+            }
+            norm = Math.sqrt( norm );
+
+            if( norm === 0 ) {
+                reflectors.push( null );
+                continue;
+            }
+
+            // choose the sign that avoids cancellation
+            v[0] += (v[0] < 0) ? -norm : norm;
+
+            vNorm2 = 0;
+            for( i = 0; i < v.length; i++ ) {
+                vNorm2 += v[i] * v[i];
+            }
+
+            reflector = { start: k, v: v, vNorm2: vNorm2 };
+            reflectors.push( reflector );
+
+            // R = H * R with H = I - 2 * v * v^T / (v^T * v)
+            applyReflector( R, reflector, k );
+
+            for( i = k + 1; i <= rows; i++ ) {
+                R.___set( i, k, 0 );
             }
         }
 
-        return true;
+        return {
+            R: R,
+            reflectors: reflectors
+        };
     };
 
     /**
-     * Check if matrix is triangular.
-     * @param {string} [mode='both'] What kind of triangular matrix to check for. Possible values are:
-     *  - 'lower': True if lower triangular matrix, false otherwise
-     *  - 'upper': True if upper triangular matrix, false otherwise
-     *  - 'both': True if either lower or upper triangular, false otherwise
-     * @returns {boolean}
+     * Performs a Cholesky decomposition. The matrix has to be symmetric positive definite.
+     * @returns {Matrix} Lower triangular matrix L such that this = L * L^T.
      */
-    Matrix.prototype.isTriangular = function (mode) {
-        mode = getStringWithDefault( mode, MatrixUtils.options.isTriangular.mode );
-
+    Matrix.prototype.decomposeCholesky = function () {
         if( !this.isSquare() ) {
             throw new MatrixError( MatrixError.ErrorCodes.DIMENSION_MISMATCH, 'Matrix must be square' );
         }
 
-        switch( mode.toLowerCase() ) {
-            case 'lower':
-                return this.__isTriangular( false );
-            case 'upper':
-                return this.__isTriangular( true );
-            case 'both':
-                return ( this.__isTriangular( true ) || this.__isTriangular( false ) );
-            default:
-                throw new MatrixError( MatrixError.ErrorCodes.INVALID_PARAMETERS, 'Mode not supported' );
+        if( !this.isSymmetric() ) {
+            throw new MatrixError( MatrixError.ErrorCodes.INVALID_PARAMETERS, 'Matrix must be symmetric' );
         }
-    };
 
-    /**
-     * @private
-     * @ignore
-     */
-    Matrix.prototype.__isTriangular = function (upper) {
-        var sign = (upper) ? 1 : -1,
-            diag, num_diag,
-            rows = this.rows();
+        var rows = this.rows(),
+            L = new Matrix( rows, rows, { dtype: this.dtype() } ),
+            sum, diag, i, j, k;
 
-        for( var i = 1; i < rows; i++ ) {
-            diag = this.diag( sign * i );
-            num_diag = diag.length;
+        for( j = 1; j <= rows; j++ ) {
+            sum = this.___get( j, j );
+            for( k = 1; k < j; k++ ) {
+                sum -= L.___get( j, k ) * L.___get( j, k );
+            }
 
-            for( var j = 0; j < num_diag; j++ ) {
-                if( diag[j] !== 0 ) {
-                    return false;
+            if( sum <= 0 ) {
+                throw new MatrixError( MatrixError.ErrorCodes.MATRIX_NOT_POSITIVE_DEFINITE );
+            }
+
+            diag = Math.sqrt( sum );
+            L.___set( j, j, diag );
+
+            for( i = j + 1; i <= rows; i++ ) {
+                sum = this.___get( i, j );
+                for( k = 1; k < j; k++ ) {
+                    sum -= L.___get( i, k ) * L.___get( j, k );
                 }
+
+                L.___set( i, j, sum / diag );
             }
         }
 
-        return true;
+        return L;
     };
 
     /**
-     * Return a copy of the matrix. This prevents accidental usage of references.
-     * @returns {Matrix}
+     * Calculate the eigenvalues and eigenvectors.
+     * Symmetric matrices are diagonalized with the cyclic Jacobi method, yielding real eigenvalues in ascending
+     * order and orthonormal eigenvectors. All other matrices are reduced to Hessenberg form and then processed with
+     * the shifted QR algorithm.
+     * A complex conjugate pair a +/- bi is stored in two consecutive positions j, j + 1 with real[j] = real[j + 1] = a,
+     * imaginary[j] = b and imaginary[j + 1] = -b. The columns j and j + 1 of the vectors matrix then hold the real
+     * and the imaginary part of the eigenvector belonging to a + bi.
+     * @returns {{real: Array.<number>, imaginary: Array.<number>, vectors: Matrix}} Object with the real and
+     * imaginary parts of the eigenvalues and a matrix whose columns are the eigenvectors.
      */
-    Matrix.prototype.copy = function () {
-        return new Matrix( this.toArray(), this.rows(), this.columns() );
-    };
+    Matrix.prototype.eig = function () {
+        if( !this.isSquare() ) {
+            throw new MatrixError( MatrixError.ErrorCodes.DIMENSION_MISMATCH, 'Matrix must be square' );
+        }
 
-    /**
-     * Returns the number of elements in the matrix.
-     * @returns {number}
-     */
-    Matrix.prototype.size = function () {
-        return this.rows() * this.columns();
+        return (this.isSymmetric()) ? this.__eigSymmetric() : this.__eigGeneral();
     };
 
     /**
-     * Get the dimensions of the matrix.
-     * @param {(number|string)} which Define which dimension should be returned. Possible values are:
-     *  - 1 or 'rows' : Number of rows
-     *  - 2 or 'columns' : Number of columns
-     *  - 'max' : Dominant dimension
-     *  - 'min' : Smaller dimension
-     * @returns {number} Object with the dimensions of requested dimension or just
-     * the requested dimension.
+     * @private
+     * @ignore
      */
-    Matrix.prototype.dim = function (which) {
-        switch( which ) {
-            case 1:
-            case 'rows':
-                return this.rows();
-            case 2:
-            case 'columns':
-                return this.columns();
-            case 'max':
-                return Math.max( this.rows(), this.columns() );
-            case 'min':
-                return Math.min( this.rows(), this.columns() );
-            default:
-                throw new MatrixError( MatrixError.ErrorCodes.INVALID_PARAMETERS, 'Parameter must match a known value' );
+    Matrix.prototype.__eigSymmetric = function () {
+        var n = this.rows(),
+            A = [], V = [],
+            p, q, k, sweep, off, total, theta, t, c, s, akp, akq, order, values, Vectors;
+
+        for( p = 0; p < n; p++ ) {
+            A.push( this.__getRow( p + 1 ) );
+            V.push( MatrixUtils.repeat( n, 0 ) );
+            V[p][p] = 1;
         }
-    };
 
-    /**
-     * Add a matrix.
-     * If more than one matrix is passed, they will be added in order, i.e. this + M + N + ...
-     * @param {Matrix} M Matrix
-     * @returns {Matrix} Component-wise sum of this and M.
-     */
-    Matrix.prototype.add = function (M) {
-        var rows = this.rows(),
-            columns = this.columns();
+        for( sweep = 0; ; sweep++ ) {
+            off = 0;
+            total = 0;
+            for( p = 0; p < n; p++ ) {
+                for( q = 0; q < n; q++ ) {
+                    total += A[p][q] * A[p][q];
+                    if( p !== q ) {
+                        off += A[p][q] * A[p][q];
+                    }
+                }
+            }
 
-        if( arguments.length > 1 ) {
-            var args = copyArray( arguments );
-            return this.add.apply( this.add( args.shift() ), args );
-        }
+            if( off <= EPSILON * EPSILON * total ) {
+                break;
+            }
 
-        if( !this.isSameSizeAs( M ) ) {
-            throw new MatrixError( MatrixError.ErrorCodes.DIMENSION_MISMATCH, 'Matrices must be of the same size' );
-        }
+            if( sweep === 100 ) {
+                throw new MatrixError( MatrixError.ErrorCodes.NO_CONVERGENCE,
+                    'Eigenvalue decomposition did not converge' );
+            }
 
-        var Result = new Matrix( rows, columns ),
-            rowA, rowB;
+            for( p = 0; p < n - 1; p++ ) {
+                for( q = p + 1; q < n; q++ ) {
+                    if( A[p][q] === 0 ) {
+                        continue;
+                    }
 
-        for( var i = 1; i <= rows; i++ ) {
-            rowA = this.__getRow( i );
-            rowB = M.__getRow( i );
+                    // rotation angle that annihilates A[p][q]
+                    theta = (A[q][q] - A[p][p]) / (2 * A[p][q]);
+                    t = ((theta < 0) ? -1 : 1) / (Math.abs( theta ) + Math.sqrt( theta * theta + 1 ));
+                    c = 1 / Math.sqrt( t * t + 1 );
+                    s = t * c;
+
+                    for( k = 0; k < n; k++ ) {
+                        akp = A[k][p];
+                        akq = A[k][q];
+                        A[k][p] = c * akp - s * akq;
+                        A[k][q] = s * akp + c * akq;
+                    }
 
-            for( var j = 0; j < columns; j++ ) {
-                rowA[j] += rowB[j];
+                    for( k = 0; k < n; k++ ) {
+                        akp = A[p][k];
+                        akq = A[q][k];
+                        A[p][k] = c * akp - s * akq;
+                        A[q][k] = s * akp + c * akq;
+                    }
+
+                    for( k = 0; k < n; k++ ) {
+                        akp = V[k][p];
+                        akq = V[k][q];
+                        V[k][p] = c * akp - s * akq;
+                        V[k][q] = s * akp + c * akq;
+                    }
+
+                    A[p][q] = 0;
+                    A[q][p] = 0;
+                }
             }
+        }
 
-            Result.__setRow( i, rowA );
+        order = MatrixUtils.linspace( 0, n - 1 );
+        order.sort( function (a, b) {
+            return A[a][a] - A[b][b];
+        } );
+
+        values = [];
+        Vectors = new Matrix( n, n, { dtype: this.dtype() } );
+        for( k = 0; k < n; k++ ) {
+            values.push( A[order[k]][order[k]] );
+
+            for( p = 0; p < n; p++ ) {
+                Vectors.___set( p + 1, k + 1, V[p][order[k]] );
+            }
         }
 
-        return Result;
+        return {
+            /** @expose */ real: values,
+            /** @expose */ imaginary: MatrixUtils.repeat( n, 0 ),
+            /** @expose */ vectors: Vectors
+        };
     };
 
     /**
-     * Subtract a matrix.
-     * If more than one matrix is passed, they wll be subtracted in order, i.e. this - M - N - ...
-     * @param {Matrix} M Matrix
-     * @returns {Matrix} Component-wise difference of this and M.
+     * Port of the nonsymmetric eigenvalue algorithm (orthes and hqr2) from JAMA, which in turn is derived from
+     * the EISPACK routines.
+     * @private
+     * @ignore
      */
-    Matrix.prototype.subtract = function (M) {
-        var rows = this.rows(),
-            columns = this.columns();
+    Matrix.prototype.__eigGeneral = function () {
+        var nn = this.rows(),
+            H = [], V = [], ort = MatrixUtils.repeat( nn, 0 ),
+            d = MatrixUtils.repeat( nn, 0 ), e = MatrixUtils.repeat( nn, 0 ),
+            low = 0, high = nn - 1,
+            i, j, k, m, f, g, h, scale, Vectors;
+
+        for( i = 0; i < nn; i++ ) {
+            H.push( this.__getRow( i + 1 ) );
+            V.push( MatrixUtils.repeat( nn, 0 ) );
+            V[i][i] = 1;
+        }
 
-        if( arguments.length > 1 ) {
-            var args = copyArray( arguments );
-            return this.subtract.apply( this.subtract( args.shift() ), args );
+        // Reduction to Hessenberg form by orthogonal similarity transformations
+        for( m = low + 1; m <= high - 1; m++ ) {
+            scale = 0;
+            for( i = m; i <= high; i++ ) {
+                scale += Math.abs( H[i][m - 1] );
+            }
+
+            if( scale !== 0 ) {
+                h = 0;
+                for( i = high; i >= m; i-- ) {
+                    ort[i] = H[i][m - 1] / scale;
+                    h += ort[i] * ort[i];
+                }
+
+                g = Math.sqrt( h );
+                if( ort[m] > 0 ) {
+                    g = -g;
+                }
+
+                h = h - ort[m] * g;
+                ort[m] = ort[m] - g;
+
+                for( j = m; j < nn; j++ ) {
+                    f = 0;
+                    for( i = high; i >= m; i-- ) {
+                        f += ort[i] * H[i][j];
+                    }
+
+                    f = f / h;
+                    for( i = m; i <= high; i++ ) {
+                        H[i][j] -= f * ort[i];
+                    }
+                }
+
+                for( i = 0; i <= high; i++ ) {
+                    f = 0;
+                    for( j = high; j >= m; j-- ) {
+                        f += ort[j] * H[i][j];
+                    }
+
+                    f = f / h;
+                    for( j = m; j <= high; j++ ) {
+                        H[i][j] -= f * ort[j];
+                    }
+                }
+
+                ort[m] = scale * ort[m];
+                H[m][m - 1] = scale * g;
+            }
         }
 
-        if( !this.isSameSizeAs( M ) ) {
-            throw new MatrixError( MatrixError.ErrorCodes.DIMENSION_MISMATCH, 'Matrices must be of the same size' );
+        // Accumulate the transformations
+        for( m = high - 1; m >= low + 1; m-- ) {
+            if( H[m][m - 1] !== 0 ) {
+                for( i = m + 1; i <= high; i++ ) {
+                    ort[i] = H[i][m - 1];
+                }
+
+                for( j = m; j <= high; j++ ) {
+                    g = 0;
+                    for( i = m; i <= high; i++ ) {
+                        g += ort[i] * V[i][j];
+                    }
+
+                    g = (g / ort[m]) / H[m][m - 1];
+                    for( i = m; i <= high; i++ ) {
+                        V[i][j] += g * ort[i];
+                    }
+                }
+            }
         }
 
-        var Result = new Matrix( rows, columns ),
-            rowA, rowB;
+        hqr2( nn, H, V, d, e );
 
-        for( var i = 1; i <= rows; i++ ) {
-            rowA = this.__getRow( i );
-            rowB = M.__getRow( i );
+        Vectors = new Matrix( nn, nn, { dtype: this.dtype() } );
+        for( j = 0; j < nn; j++ ) {
+            scale = 0;
+            for( i = 0; i < nn; i++ ) {
+                scale += V[i][j] * V[i][j];
 
-            for( var j = 0; j < columns; j++ ) {
-                rowA[j] -= rowB[j];
+                if( e[j] !== 0 ) {
+                    scale += V[i][j + ((e[j] > 0) ? 1 : -1)] * V[i][j + ((e[j] > 0) ? 1 : -1)];
+                }
             }
 
-            Result.__setRow( i, rowA );
+            scale = Math.sqrt( scale );
+            for( i = 0; i < nn; i++ ) {
+                Vectors.___set( i + 1, j + 1, (scale === 0) ? V[i][j] : V[i][j] / scale );
+            }
         }
 
-        return Result;
+        return {
+            /** @expose */ real: d,
+            /** @expose */ imaginary: e,
+            /** @expose */ vectors: Vectors
+        };
     };
 
     /**
-     * Scale with a constant factor (i.e. calculate k * this)
-     * @param {number} k Factor
-     * @returns {Matrix} Matrix with all entries multiplied by k.
+     * Calculate the singular value decomposition this = U * S * V^T using one-sided Jacobi rotations.
+     * @param {boolean} [thin=false] If true, U will only contain as many columns as there are singular values,
+     * i.e. for a m-by-n matrix U is m-by-k and V is n-by-k with k = min(m, n). Otherwise U is m-by-m and V is n-by-n.
+     * @returns {{U: Matrix, S: Array.<number>, V: Matrix}} Object with the orthogonal matrices U and V and the
+     * singular values S in descending order.
      */
-    Matrix.prototype.scale = function (k) {
-        if( !isNumber( k ) ) {
-            throw new MatrixError( MatrixError.ErrorCodes.INVALID_PARAMETERS, 'Parameter must be a number' );
-        }
+    Matrix.prototype.svd = function (thin) {
+        thin = getBooleanWithDefault( thin, MatrixUtils.options.svd.thin );
 
         var rows = this.rows(),
             columns = this.columns();
 
-        // Trivial cases in which we can spare the multiplications
-        if( k === 0 ) {
-            return new Matrix( rows, columns );
+        if( rows < columns ) {
+            var transposed = this.transpose().svd( thin );
+
+            return {
+                /** @expose */ U: transposed.V,
+                /** @expose */ S: transposed.S,
+                /** @expose */ V: transposed.U
+            };
         }
 
-        if( k === 1 ) {
-            return this;
+        var U = [], V = [], S = [], sortedU = [], sortedV = [],
+            sweep, rotated, order, tolerance,
+            alpha, beta, gamma, zeta, t, c, s, i, j, k, p, q;
+
+        for( j = 1; j <= columns; j++ ) {
+            U.push( this.__getColumn( j ) );
+            V.push( MatrixUtils.repeat( columns, 0 ) );
+            V[j - 1][j - 1] = 1;
         }
 
-        return this.fun( function (value) {
-            return k * value;
-        } );
-    };
+        for( sweep = 0; sweep < 100; sweep++ ) {
+            rotated = false;
 
-    /**
-     * Multiply with another matrix.
-     * @param {Matrix} M
-     * @returns {Matrix}
-     */
-    Matrix.prototype.multiply = function (M) {
-        var dimOuterLeft = this.rows(),
-            dimInner = this.columns(),
-            dimOuterRight = M.columns();
+            for( p = 0; p < columns - 1; p++ ) {
+                for( q = p + 1; q < columns; q++ ) {
+                    alpha = dotArray( U[p], U[p] );
+                    beta = dotArray( U[q], U[q] );
+                    gamma = dotArray( U[p], U[q] );
 
-        if( dimInner !== M.rows() ) {
-            throw new MatrixError( MatrixError.ErrorCodes.DIMENSION_MISMATCH, 'Inner dimensions must match' );
-        }
+                    if( gamma === 0 || Math.abs( gamma ) <= EPSILON * Math.sqrt( alpha * beta ) ) {
+                        continue;
+                    }
 
-        var Result = new Matrix( dimOuterLeft, dimOuterRight );
-        for( var i = 1; i <= dimOuterLeft; i++ ) {
-            for( var j = 1; j <= dimOuterRight; j++ ) {
-                var temp = 0,
-                    rowA = this.__getRow( i ),
-                    columnB = M.__getColumn( j );
+                    rotated = true;
 
-                for( var k = 0; k < dimInner; k++ ) {
-                    temp += rowA[k] * columnB[k];
+                    // rotation that makes columns p and q orthogonal
+                    zeta = (beta - alpha) / (2 * gamma);
+                    t = ((zeta < 0) ? -1 : 1) / (Math.abs( zeta ) + Math.sqrt( 1 + zeta * zeta ));
+                    c = 1 / Math.sqrt( 1 + t * t );
+                    s = c * t;
+
+                    rotateArrays( U[p], U[q], c, s );
+                    rotateArrays( V[p], V[q], c, s );
                 }
+            }
 
-                Result.___set( i, j, temp );
+            if( !rotated ) {
+                break;
             }
         }
 
-        return Result;
-    };
+        // the last sweep may have rotated, so check whether the columns are orthogonal now
+        for( p = 0; rotated && p < columns - 1; p++ ) {
+            for( q = p + 1; q < columns; q++ ) {
+                gamma = dotArray( U[p], U[q] );
 
-    /**
-     * Transpose the matrix, i.e. take the rows as the columns of the resulting matrix.
-     * @returns {Matrix}
-     */
-    Matrix.prototype.transpose = function () {
-        var rows = this.rows(),
-            Result = new Matrix( this.columns(), rows );
+                if( !(Math.abs( gamma ) <= EPSILON * Math.sqrt( dotArray( U[p], U[p] ) * dotArray( U[q], U[q] ) )) ) {
+                    throw new MatrixError( MatrixError.ErrorCodes.NO_CONVERGENCE,
+                        'Singular value decomposition did not converge' );
+                }
+            }
+        }
 
-        for( var i = 1; i <= rows; i++ ) {
-            Result.__setColumn( i, this.__getRow( i ) );
+        for( j = 0; j < columns; j++ ) {
+            S.push( Math.sqrt( dotArray( U[j], U[j] ) ) );
         }
 
-        return Result;
-    };
+        order = MatrixUtils.linspace( 0, columns - 1 );
+        order.sort( function (a, b) {
+            return S[b] - S[a];
+        } );
 
-    /**
-     * Calculate the trace, i.e. the sum of all diagonal entries.
-     * @returns {number} Sum of diagonal entries.
-     */
-    Matrix.prototype.trace = function () {
-        if( !this.isSquare() ) {
-            throw new MatrixError( MatrixError.ErrorCodes.DIMENSION_MISMATCH, 'Matrix must be square' );
+        tolerance = EPSILON * rows * (S[order[0]] || 0);
+        for( j = 0; j < columns; j++ ) {
+            k = order[j];
+            sortedV.push( V[k] );
+
+            if( S[k] > tolerance ) {
+                sortedU.push( U[k].map( function (value) {
+                    return value / S[k];
+                } ) );
+            } else {
+                sortedU.push( null );
+            }
         }
 
-        var rows = this.rows(),
-            trace = 0;
+        sortedU = completeOrthonormalBasis( sortedU, rows, (thin) ? columns : rows );
 
-        for( var i = 1; i <= rows; i++ ) {
-            trace += this.___get( i, i );
+        var ResultU = new Matrix( rows, sortedU.length, { dtype: this.dtype() } ),
+            ResultV = new Matrix( columns, columns, { dtype: this.dtype() } );
+
+        for( j = 0; j < sortedU.length; j++ ) {
+            ResultU.__setColumn( j + 1, sortedU[j] );
+        }
+        for( j = 0; j < columns; j++ ) {
+            ResultV.__setColumn( j + 1, sortedV[j] );
         }
 
-        return trace;
+        return {
+            /** @expose */ U: ResultU,
+            /** @expose */ S: order.map( function (index) {
+                return S[index];
+            } ),
+            /** @expose */ V: ResultV
+        };
     };
 
     /**
-     * Performs a LU decomposition. Both matrices will be written in the same matrix, i.e. the trivial
-     * diagonal entries will not be stored.
-     * @returns {Matrix} Matrix with the LU entries. There is also a hidden property swappedRows with the number
-     * of rows that were swapped in the process.
+     * Calculate the rank, i.e. the number of singular values above a tolerance.
+     * @param {number} [tolerance] Singular values below or equal to this value are considered zero. Defaults to
+     * max(m, n) * max(S) * eps.
+     * @returns {number}
      */
-    Matrix.prototype.decomposeLU = function () {
-        var swappedRows = 0,
-            LU = this.copy();
-
-        var i, j, k,
-            row_k, column_k, row_i,
-            rows = this.rows(),
-            columns = this.columns();
-
-        var pivot, maxArg, currArg, tempRow;
+    Matrix.prototype.rank = function (tolerance) {
+        var S = this.svd( true ).S,
+            rank = 0;
 
-        for( k = 1; k <= rows; k++ ) {
-            pivot = 0;
-            maxArg = -1;
+        tolerance = getNumberWithDefault( tolerance, Math.max( this.rows(), this.columns() ) * (S[0] || 0) * EPSILON );
 
-            column_k = LU.__getColumn( k );
-            for( i = k; i <= rows; i++ ) {
-                currArg = Math.abs( column_k[i - 1] );
-
-                if( currArg >= maxArg ) {
-                    pivot = i;
-                    maxArg = currArg;
-                }
-            }
-
-            if( column_k[pivot - 1] === 0 ) {
-                throw new MatrixError( MatrixError.ErrorCodes.MATRIX_IS_SINGULAR );
+        for( var i = 0; i < S.length; i++ ) {
+            if( S[i] > tolerance ) {
+                rank++;
             }
+        }
 
-            if( pivot !== k ) {
-                tempRow = LU.__getRow( pivot );
-
-                LU.__setRow( pivot, LU.__getRow( k ) );
-                LU.__setRow( k, tempRow );
+        return rank;
+    };
 
-                swappedRows++;
-            }
+    /**
+     * Calculate the condition number with respect to the spectral norm, i.e. the ratio of the largest and the
+     * smallest singular value.
+     * @returns {number} Condition number, Infinity if the matrix is rank deficient.
+     */
+    Matrix.prototype.cond = function () {
+        var S = this.svd( true ).S,
+            smallest = S[S.length - 1];
 
-            row_k = LU.__getRow( k );
-            for( i = k + 1; i <= rows; i++ ) {
-                row_i = LU.__getRow( i );
+        // singular values at the level of rounding errors are numerically zero
+        return (smallest <= Math.max( this.rows(), this.columns() ) * S[0] * EPSILON) ? Infinity : S[0] / smallest;
+    };
 
-                for( j = k; j < columns; j++ ) {
-                    row_i[j] = row_i[j] - row_k[j] * ( row_i[k - 1] ) / row_k[k - 1];
-                }
+    /**
+     * Calculate the Moore-Penrose pseudo inverse.
+     * @param {number} [tolerance] Singular values below or equal to this value are considered zero. Defaults to
+     * max(m, n) * max(S) * eps.
+     * @returns {Matrix} n-by-m matrix for a m-by-n matrix.
+     */
+    Matrix.prototype.pinv = function (tolerance) {
+        var SVD = this.svd( true ),
+            S = SVD.S;
 
-                row_i[k - 1] = 0;
-                LU.__setRow( i, row_i );
-            }
-        }
+        tolerance = getNumberWithDefault( tolerance, Math.max( this.rows(), this.columns() ) * (S[0] || 0) * EPSILON );
 
-        // as a "hidden property" we attach the number of swapped rows
-        LU.swappedRows = swappedRows;
+        var inverted = S.map( function (value) {
+            return (value > tolerance) ? 1 / value : 0;
+        } );
 
-        return LU;
+        return SVD.V.multiply( Matrix.diag( inverted ) ).multiply( SVD.U.transpose() );
     };
 
     /**
@@ -1080,22 +3252,7 @@
                 det *= diag[i];
             }
         } else {
-            try {
-                var LU = this.decomposeLU();
-            } catch( e ) {
-                if( e.code && e.code === MatrixError.ErrorCodes.MATRIX_IS_SINGULAR ) {
-                    return 0;
-                }
-
-                throw e;
-            }
-
-            det = Math.pow( -1, LU.swappedRows );
-            diag = LU.diag();
-
-            for( i = 0; i < rows; i++ ) {
-                det *= diag[i];
-            }
+            det = this.decomposeLU().det();
         }
 
         return det;
@@ -1110,44 +3267,82 @@
             throw new MatrixError( MatrixError.ErrorCodes.DIMENSION_MISMATCH, 'Matrix must be square' );
         }
 
-        var M = this.augment( Matrix.eye( this.rows() ) ),
-            row, row_before, new_row, i, j, k, factor, rows, columns;
+        return this.decomposeLU().inverse();
+    };
+
+    /**
+     * Solve the linear system this * X = B.
+     * @param {(Array.<number>|Matrix)} B Right-hand side. An array is treated as a column vector, a matrix may
+     * have multiple columns
+     * @param {string} [method='lu'] Which factorization to use. Possible values are:
+     *  - 'lu': Uses {@link Matrix.prototype.decomposeLU} followed by forward and back substitution.
+     *  - 'cholesky': Uses {@link Matrix.prototype.decomposeCholesky} followed by forward and back substitution.
+     *    The matrix has to be symmetric positive definite.
+     * @returns {Matrix} Matrix X with as many columns as B.
+     */
+    Matrix.prototype.solve = function (B, method) {
+        method = getStringWithDefault( method, MatrixUtils.options.solve.method );
+
+        if( !this.isSquare() ) {
+            throw new MatrixError( MatrixError.ErrorCodes.DIMENSION_MISMATCH, 'Matrix must be square' );
+        }
+
+        if( isArray( B ) ) {
+            B = new Matrix( B, null, 1 );
+        }
 
-        try {
-            M = M.decomposeLU();
-            rows = M.rows();
-            columns = M.columns();
+        if( B.rows() !== this.rows() ) {
+            throw new MatrixError( MatrixError.ErrorCodes.DIMENSION_MISMATCH,
+                'Right-hand side must have as many rows as the matrix' );
+        }
 
-            // TODO The following two loops can probably be rewritten into something smarter
-            for( i = rows; i > 1; i-- ) {
-                row_before = M.__getRow( i - 1 );
-                row = M.__getRow( i );
-                factor = row_before[i - 1] / row[i - 1];
+        switch( method.toLowerCase() ) {
+            case 'lu':
+                return this.decomposeLU().solve( B );
+            case 'cholesky':
+                return this.decomposeCholesky().__solveCholesky( B );
+            default:
+                throw new MatrixError( MatrixError.ErrorCodes.INVALID_PARAMETERS, 'Method not supported' );
+        }
+    };
 
-                new_row = [];
-                for( k = 0; k < columns; k++ ) {
-                    new_row[k] = row_before[k] - row[k] * factor;
+    /**
+     * Solves L * L^T * X = B where this is the lower triangular Cholesky factor L.
+     * @private
+     * @ignore
+     */
+    Matrix.prototype.__solveCholesky = function (B) {
+        var rows = this.rows(),
+            columnsB = B.columns(),
+            Y = new Matrix( rows, columnsB ),
+            X = new Matrix( rows, columnsB, { dtype: this.dtype() } ),
+            value, i, j, k;
+
+        for( j = 1; j <= columnsB; j++ ) {
+            // forward substitution with L
+            for( i = 1; i <= rows; i++ ) {
+                value = B.___get( i, j );
+
+                for( k = 1; k < i; k++ ) {
+                    value -= this.___get( i, k ) * Y.___get( k, j );
                 }
-                M.__setRow( i - 1, new_row );
+
+                Y.___set( i, j, value / this.___get( i, i ) );
             }
 
-            for( j = 1; j <= rows; j++ ) {
-                row = M.__getRow( j );
-                new_row = [];
+            // back substitution with L^T
+            for( i = rows; i >= 1; i-- ) {
+                value = Y.___get( i, j );
 
-                for( k = 0; k < columns; k++ ) {
-                    new_row[k] = row[k] / row[j - 1];
+                for( k = i + 1; k <= rows; k++ ) {
+                    value -= this.___get( k, i ) * X.___get( k, j );
                 }
 
-                M.__setRow( j, new_row );
+                X.___set( i, j, value / this.___get( i, i ) );
             }
-        } catch( e ) {
-            // TODO if caching attributes like the determinant is introduced, replace this by checking
-            // the determinant and throw a general error here
-            throw new MatrixError( MatrixError.ErrorCodes.MATRIX_IS_SINGULAR );
         }
 
-        return M.submatrix( 1, rows, this.columns() + 1, columns );
+        return X;
     };
 
     /**
@@ -1167,7 +3362,7 @@
         var mResult = rowEnd - rowStart + 1,
             nResult = columnEnd - columnStart + 1;
 
-        var Result = new Matrix( mResult, nResult );
+        var Result = new Matrix( mResult, nResult, { dtype: this.dtype() } );
         for( var i = rowStart; i <= rowEnd; i++ ) {
             Result.__setRow( i - rowStart + 1, this.__getRow( i ).slice( columnStart - 1, columnEnd ) );
         }
@@ -1175,6 +3370,78 @@
         return Result;
     };
 
+    /**
+     * Extract arbitrary rows and columns.
+     * Both selectors can be given in one of the following forms:
+     *  - null, undefined or ':' to select everything
+     *  - an index, where negative indices are counted from the end, i.e. -1 is the last row / column
+     *  - an array of indices, which may contain duplicates and be in any order
+     *  - an array of booleans with one entry per row / column as a mask
+     *  - a range string 'start:end' or 'start:step:end', e.g. '1:2:-1' for every second entry or '-1:-1:1' to
+     *    reverse the order. Omitted bounds default to the first and last index.
+     * @param {(number|string|Array.<number>|Array.<boolean>)} [rows=':'] Selector for the rows
+     * @param {(number|string|Array.<number>|Array.<boolean>)} [columns=':'] Selector for the columns
+     * @returns {Matrix}
+     */
+    Matrix.prototype.select = function (rows, columns) {
+        var rowIndices = resolveIndices( rows, this.rows() ),
+            columnIndices = resolveIndices( columns, this.columns() ),
+            Result = new Matrix( rowIndices.length, columnIndices.length, { dtype: this.dtype() } );
+
+        for( var i = 0; i < rowIndices.length; i++ ) {
+            for( var j = 0; j < columnIndices.length; j++ ) {
+                Result.___set( i + 1, j + 1, this.___get( rowIndices[i], columnIndices[j] ) );
+            }
+        }
+
+        return Result;
+    };
+
+    /**
+     * Write into a selection of rows and columns.
+     * Note: This function modifies the instance it is called on.
+     * @param {(number|string|Array.<number>|Array.<boolean>)} [rows=':'] Selector for the rows, see {@link Matrix#select}
+     * @param {(number|string|Array.<number>|Array.<boolean>)} [columns=':'] Selector for the columns, see
+     * {@link Matrix#select}
+     * @param {(number|Matrix)} valueOrMatrix A value to write into every selected entry or a matrix with the size of
+     * the selection
+     * @returns {Matrix}
+     */
+    Matrix.prototype.assign = function (rows, columns, valueOrMatrix) {
+        var rowIndices = resolveIndices( rows, this.rows() ),
+            columnIndices = resolveIndices( columns, this.columns() ),
+            isValue = isNumber( valueOrMatrix );
+
+        if( !isValue && !(valueOrMatrix instanceof Matrix || valueOrMatrix instanceof SparseMatrix) ) {
+            throw new MatrixError( MatrixError.ErrorCodes.INVALID_PARAMETERS, 'Value has to be a number or a matrix' );
+        }
+
+        if( !isValue && (valueOrMatrix.rows() !== rowIndices.length
+            || valueOrMatrix.columns() !== columnIndices.length) ) {
+            throw new MatrixError( MatrixError.ErrorCodes.DIMENSION_MISMATCH, 'Matrix must match the selection' );
+        }
+
+        // entries written early could otherwise be read again if the source is (a view on) this matrix
+        if( valueOrMatrix instanceof Matrix ) {
+            var elements = this.___getElements(),
+                source = valueOrMatrix.___getElements();
+
+            if( source === elements || (isTypedArray( source ) && isTypedArray( elements )
+                && source.buffer === elements.buffer) ) {
+                valueOrMatrix = valueOrMatrix.copy();
+            }
+        }
+
+        for( var i = 0; i < rowIndices.length; i++ ) {
+            for( var j = 0; j < columnIndices.length; j++ ) {
+                this.___set( rowIndices[i], columnIndices[j],
+                    isValue ? valueOrMatrix : valueOrMatrix.___get( i + 1, j + 1 ) );
+            }
+        }
+
+        return this;
+    };
+
     /**
      * Augment with another matrix.
      * @param {Matrix} M
@@ -1189,7 +3456,7 @@
             throw new MatrixError( MatrixError.ErrorCodes.INVALID_PARAMETERS, 'Number of rows must match' );
         }
 
-        var Result = new Matrix( rows, columns + columnsM );
+        var Result = new Matrix( rows, columns + columnsM, { dtype: this.dtype() } );
 
         for( var i = 1; i <= columns; i++ ) {
             Result.__setColumn( i, this.__getColumn( i ) );
@@ -1202,29 +3469,159 @@
     };
 
     /**
-     * Calculate the dot product. Both vectors have to be column vectors.
-     * @param {Matrix} M Matrix
-     * @returns {number} Euclidean dot product of this and M.
+     * Change the shape of the matrix while keeping its entries.
+     * @param {?number} rows Number of rows. If null, it will be computed from the number of columns.
+     * @param {?number} columns Number of columns. If null, it will be computed from the number of rows.
+     * @param {string} [order=MatrixUtils.options.reshape.order] Order in which the entries are read and written,
+     * either 'row' (left to right, top to bottom) or 'column' (top to bottom, left to right).
+     * @returns {Matrix}
+     */
+    Matrix.prototype.reshape = function (rows, columns, order) {
+        order = getStringWithDefault( order, MatrixUtils.options.reshape.order );
+
+        var size = this.size(),
+            i, j, index;
+
+        rows = getNumberWithDefault( rows, size / columns );
+        columns = getNumberWithDefault( columns, size / rows );
+
+        if( !isInteger( rows ) || !isInteger( columns ) || rows * columns !== size ) {
+            throw new MatrixError( MatrixError.ErrorCodes.DIMENSION_MISMATCH,
+                'Number of entries must not change when reshaping' );
+        }
+
+        if( order === 'row' ) {
+            return new Matrix( this.toArray(), rows, columns, { dtype: this.dtype() } );
+        }
+
+        if( order !== 'column' ) {
+            throw new MatrixError( MatrixError.ErrorCodes.INVALID_PARAMETERS, 'Order must be either row or column' );
+        }
+
+        var Result = new Matrix( rows, columns, { dtype: this.dtype() } ),
+            thisRows = this.rows();
+
+        for( j = 1; j <= this.columns(); j++ ) {
+            for( i = 1; i <= thisRows; i++ ) {
+                index = (j - 1) * thisRows + (i - 1);
+                Result.___set( (index % rows) + 1, Math.floor( index / rows ) + 1, this.___get( i, j ) );
+            }
+        }
+
+        return Result;
+    };
+
+    /**
+     * Flip the matrix left to right, i.e. reverse the order of the columns.
+     * @returns {Matrix}
+     */
+    Matrix.prototype.fliplr = function () {
+        return this.select( null, '-1:-1:1' );
+    };
+
+    /**
+     * Flip the matrix upside down, i.e. reverse the order of the rows.
+     * @returns {Matrix}
+     */
+    Matrix.prototype.flipud = function () {
+        return this.select( '-1:-1:1', null );
+    };
+
+    /**
+     * Rotate the matrix counterclockwise by k * 90 degrees.
+     * @param {number} [k=1] Number of rotations. Negative values rotate clockwise.
+     * @returns {Matrix}
+     */
+    Matrix.prototype.rot90 = function (k) {
+        k = getNumberWithDefault( k, 1 );
+
+        if( !isInteger( k ) ) {
+            throw new MatrixError( MatrixError.ErrorCodes.INVALID_PARAMETERS, 'Number of rotations must be an integer' );
+        }
+
+        switch( ((k % 4) + 4) % 4 ) {
+            case 1:
+                return this.transpose().flipud();
+            case 2:
+                return this.select( '-1:-1:1', '-1:-1:1' );
+            case 3:
+                return this.transpose().fliplr();
+            default:
+                return this.select( null, null );
+        }
+    };
+
+    /**
+     * Repeat the matrix as tiles of a block matrix.
+     * @param {number} m Number of repetitions vertically
+     * @param {number} [n=m] Number of repetitions horizontally
+     * @returns {Matrix}
      */
-    /*Matrix.prototype.dot = function (M) {
-     var rows = this.rows();
+    Matrix.prototype.repmat = function (m, n) {
+        n = getNumberWithDefault( n, m );
+
+        if( !isInteger( m ) || !isInteger( n ) || m < 1 || n < 1 ) {
+            throw new MatrixError( MatrixError.ErrorCodes.INVALID_PARAMETERS,
+                'Number of repetitions must be a positive integer' );
+        }
+
+        var blocks = [];
+        for( var i = 0; i < m; i++ ) {
+            blocks.push( MatrixUtils.repeat( n, this ) );
+        }
+
+        return Matrix.block( blocks );
+    };
+
+    /**
+     * Calculate the Kronecker product, i.e. the block matrix with blocks this(i,j) * M.
+     * @param {(Matrix|SparseMatrix)} M
+     * @returns {Matrix}
+     */
+    Matrix.prototype.kron = function (M) {
+        var rows = this.rows(),
+            columns = this.columns(),
+            rowsM = M.rows(),
+            columnsM = M.columns(),
+            Result = new Matrix( rows * rowsM, columns * columnsM, { dtype: this.dtype() } ),
+            value, rowM;
+
+        for( var k = 1; k <= rowsM; k++ ) {
+            rowM = M.__getRow( k );
+
+            for( var i = 1; i <= rows; i++ ) {
+                for( var j = 1; j <= columns; j++ ) {
+                    value = this.___get( i, j );
+
+                    for( var l = 1; l <= columnsM; l++ ) {
+                        Result.___set( (i - 1) * rowsM + k, (j - 1) * columnsM + l, value * rowM[l - 1] );
+                    }
+                }
+            }
+        }
+
+        return Result;
+    };
 
-     if( !this.isVector() || !M.isVector() || this.columns() !== 1 || M.columns() !== 1 ) {
-     throw new MatrixError( MatrixError.ErrorCodes.INVALID_PARAMETERS, 'Parameter must be a column vector' );
-     }
+    /**
+     * Calculate the dot product. Both operands have to be vectors of the same length.
+     * @param {(Array.<number>|Matrix)} M Vector
+     * @returns {number} Euclidean dot product of this and M.
+     */
+    Matrix.prototype.dot = function (M) {
+        if( !this.isVector() || (!isArray( M ) && !M.isVector()) ) {
+            throw new MatrixError( MatrixError.ErrorCodes.INVALID_PARAMETERS, 'Parameters must be vectors' );
+        }
 
-     if( rows !== M.rows() ) {
-     throw new MatrixError( MatrixError.ErrorCodes.DIMENSION_MISMATCH );
-     }
+        var a = toArray( this ),
+            b = toArray( M );
 
-     var result = 0;
-     for( var i = 1; i <= rows; i++ ) {
-     // TODO speed improvement
-     result += this.___get( i, 1 ) * M.___get( i, 1 );
-     }
+        if( a.length !== b.length ) {
+            throw new MatrixError( MatrixError.ErrorCodes.DIMENSION_MISMATCH, 'Vectors must be of the same length' );
+        }
 
-     return result;
-     };*/
+        return dotArray( a, b );
+    };
 
     /**
      * Rounds each element to the nearest integer.
@@ -1260,23 +3657,28 @@
     };
 
     /**
-     * Returns the cross product. Both vectors have to be column vectors. The resulting vector will also be a column vector.
-     * @param {Matrix} M Three-dimensional vector
-     * @returns {Matrix} The three-dimensional vector V = A x M.
+     * Returns the cross product. Both operands have to be three-dimensional vectors.
+     * @param {(Array.<number>|Matrix)} M Three-dimensional vector
+     * @returns {Vector} The three-dimensional vector V = A x M with the same orientation as this.
      */
-    /*Matrix.prototype.cross = function (M) {
-     if( !this.isVector() || !M.isVector() || this.rows() !== 3 || M.rows() !== 3 ) {
-     throw new MatrixError( MatrixError.ErrorCodes.INVALID_PARAMETERS,
-     'Parameters must be three-dimensional column vectors' );
-     }
+    Matrix.prototype.cross = function (M) {
+        if( !this.isVector() || (!isArray( M ) && !M.isVector()) ) {
+            throw new MatrixError( MatrixError.ErrorCodes.INVALID_PARAMETERS, 'Parameters must be vectors' );
+        }
+
+        var a = toArray( this ),
+            b = toArray( M );
+
+        if( a.length !== 3 || b.length !== 3 ) {
+            throw new MatrixError( MatrixError.ErrorCodes.DIMENSION_MISMATCH, 'Vectors must be three-dimensional' );
+        }
 
-     // TODO speed improvement
-     return new Matrix( [
-     [this.___get( 2, 1 ) * M.___get( 3, 1 ) - this.___get( 3, 1 ) * M.___get( 2, 1 )],
-     [this.___get( 3, 1 ) * M.___get( 1, 1 ) - this.___get( 1, 1 ) * M.___get( 3, 1 )],
-     [this.___get( 1, 1 ) * M.___get( 2, 1 ) - this.___get( 2, 1 ) * M.___get( 1, 1 )]
-     ] );
-     };*/
+        return new Vector( [
+            a[1] * b[2] - a[2] * b[1],
+            a[2] * b[0] - a[0] * b[2],
+            a[0] * b[1] - a[1] * b[0]
+        ], this.rows() === 1 );
+    };
 
     /**
      * Add a row to the matrix.
@@ -1287,7 +3689,7 @@
         row = toArray( row );
         var rows = this.rows();
 
-        var Result = new Matrix( rows + 1, this.columns() );
+        var Result = new Matrix( rows + 1, this.columns(), { dtype: this.dtype() } );
 
         for( var i = 1; i <= rows; i++ ) {
             Result.__setRow( i, this.__getRow( i ) );
@@ -1306,6 +3708,138 @@
         return this.copy().augment( new Matrix( toArray( column ), null, 1 ) );
     };
 
+    /**
+     * Remove rows from the matrix.
+     * @param {(number|string|Array.<number>|Array.<boolean>)} indices Rows to remove, given in any form accepted by
+     * {@link Matrix#select}
+     * @returns {Matrix}
+     */
+    Matrix.prototype.removeRows = function (indices) {
+        return this.select( complementIndices( resolveIndices( indices, this.rows() ), this.rows() ), null );
+    };
+
+    /**
+     * Remove columns from the matrix.
+     * @param {(number|string|Array.<number>|Array.<boolean>)} indices Columns to remove, given in any form accepted by
+     * {@link Matrix#select}
+     * @returns {Matrix}
+     */
+    Matrix.prototype.removeColumns = function (indices) {
+        return this.select( null, complementIndices( resolveIndices( indices, this.columns() ), this.columns() ) );
+    };
+
+    /**
+     * Insert a row into the matrix.
+     * @param {number} at Row index the new row will have, i.e. it will be inserted before the current row with this
+     * index. Use rows() + 1 to append the row.
+     * @param {(Array.<number>|Matrix)} entries Array or matrix of entries to insert
+     * @returns {Matrix}
+     */
+    Matrix.prototype.insertRow = function (at, entries) {
+        var rows = this.rows();
+        entries = toArray( entries );
+
+        if( !isInteger( at ) || at < 1 || at > rows + 1 ) {
+            throw new MatrixError( MatrixError.ErrorCodes.OUT_OF_BOUNDS );
+        }
+
+        if( entries.length !== this.columns() ) {
+            throw new MatrixError( MatrixError.ErrorCodes.DIMENSION_MISMATCH, 'Wrong number of columns in row' );
+        }
+
+        var Result = new Matrix( rows + 1, this.columns(), { dtype: this.dtype() } );
+
+        for( var i = 1; i <= rows; i++ ) {
+            Result.__setRow( (i < at) ? i : i + 1, this.__getRow( i ) );
+        }
+
+        Result.__setRow( at, entries );
+        return Result;
+    };
+
+    /**
+     * Insert a column into the matrix.
+     * @param {number} at Column index the new column will have, i.e. it will be inserted before the current column
+     * with this index. Use columns() + 1 to append the column.
+     * @param {(Array.<number>|Matrix)} entries Array or matrix of entries to insert
+     * @returns {Matrix}
+     */
+    Matrix.prototype.insertColumn = function (at, entries) {
+        var columns = this.columns();
+        entries = toArray( entries );
+
+        if( !isInteger( at ) || at < 1 || at > columns + 1 ) {
+            throw new MatrixError( MatrixError.ErrorCodes.OUT_OF_BOUNDS );
+        }
+
+        if( entries.length !== this.rows() ) {
+            throw new MatrixError( MatrixError.ErrorCodes.DIMENSION_MISMATCH, 'Wrong number of rows in column' );
+        }
+
+        var Result = new Matrix( this.rows(), columns + 1, { dtype: this.dtype() } );
+
+        for( var j = 1; j <= columns; j++ ) {
+            Result.__setColumn( (j < at) ? j : j + 1, this.__getColumn( j ) );
+        }
+
+        Result.__setColumn( at, entries );
+        return Result;
+    };
+
+    /**
+     * Swap two rows.
+     * Note: This function modifies the instance it is called on.
+     * @param {number} i Index of the first row
+     * @param {number} j Index of the second row
+     * @returns {Matrix}
+     */
+    Matrix.prototype.swapRows = function (i, j) {
+        if( !this.isInRange( i, null ) || !this.isInRange( j, null ) ) {
+            throw new MatrixError( MatrixError.ErrorCodes.OUT_OF_BOUNDS );
+        }
+
+        var row = this.__getRow( i );
+        this.__setRow( i, this.__getRow( j ) );
+        return this.__setRow( j, row );
+    };
+
+    /**
+     * Swap two columns.
+     * Note: This function modifies the instance it is called on.
+     * @param {number} i Index of the first column
+     * @param {number} j Index of the second column
+     * @returns {Matrix}
+     */
+    Matrix.prototype.swapColumns = function (i, j) {
+        if( !this.isInRange( null, i ) || !this.isInRange( null, j ) ) {
+            throw new MatrixError( MatrixError.ErrorCodes.OUT_OF_BOUNDS );
+        }
+
+        var column = this.__getColumn( i );
+        this.__setColumn( i, this.__getColumn( j ) );
+        return this.__setColumn( j, column );
+    };
+
+    /**
+     * Permute the rows.
+     * @param {(Array.<number>|Matrix)} permutation Permutation vector p, i.e. row i of the result is row p[i] of
+     * this matrix.
+     * @returns {Matrix}
+     */
+    Matrix.prototype.permuteRows = function (permutation) {
+        return this.select( resolvePermutation( permutation, this.rows() ), null );
+    };
+
+    /**
+     * Permute the columns.
+     * @param {(Array.<number>|Matrix)} permutation Permutation vector p, i.e. column j of the result is column p[j]
+     * of this matrix.
+     * @returns {Matrix}
+     */
+    Matrix.prototype.permuteColumns = function (permutation) {
+        return this.select( null, resolvePermutation( permutation, this.columns() ) );
+    };
+
     /**
      * Check if the matrix contains a certain value.
      * @param {number} needle Value to look for
@@ -1392,6 +3926,25 @@
         return true;
     };
 
+    /**
+     * Compare with another matrix up to a tolerance. Two entries a and b are considered equal if
+     * |a - b| <= atol + rtol * max(|a|, |b|) or if they are at most ulps representable doubles apart.
+     * @param {(Matrix|SparseMatrix)} M Matrix
+     * @param {Object} [options] Options for the comparison:
+     *  - atol: Absolute tolerance, defaults to {@link MatrixUtils.options.approxEquals.atol}.
+     *  - rtol: Relative tolerance, defaults to {@link MatrixUtils.options.approxEquals.rtol}.
+     *  - ulps: Tolerance in units in the last place, defaults to {@link MatrixUtils.options.approxEquals.ulps}.
+     *  - diagnostic: If true, an object describing the worst-offending entry will be returned instead of a boolean.
+     *    This is the entry with the largest difference among those outside of the tolerance or, if all entries are
+     *    within the tolerance, among all entries. It has the keys equal, row, column, value (entry of this), other
+     *    (entry of M), difference and message.
+     * @returns {(boolean|Object)} True if the matrices are approximately equal, false otherwise. If the diagnostic
+     * option is set, an object as described above.
+     */
+    Matrix.prototype.approxEquals = function (M, options) {
+        return compareApproximately( this, M, options );
+    };
+
     /**
      * Apply a custom function to each entry.
      * @param {function(number, number, number): number} applicator Function to apply. It will be provided with three
@@ -1416,7 +3969,7 @@
         var current, row,
             rows = this.rows(),
             columns = this.columns(),
-            Result = new Matrix( rows, columns );
+            Result = new Matrix( rows, columns, { dtype: this.dtype() } );
 
         for( var i = 1; i <= rows; i++ ) {
             row = this.__getRow( i );
@@ -1435,6 +3988,42 @@
         return Result;
     };
 
+    /**
+     * Apply a custom function to each entry in place, i.e. without allocating a new matrix.
+     * Note: This function modifies the instance it is called on.
+     * @param {function(number, number, number): number} applicator See {@link Matrix#fun}.
+     * @param {?function(number, number, number): boolean} [filter=MatrixUtils.filters.all] See {@link Matrix#fun}.
+     * @returns {Matrix} The instance the function was called on.
+     */
+    Matrix.prototype.funInPlace = function (applicator, filter) {
+        filter = filter || MatrixUtils.filters.all;
+
+        if( typeof applicator !== 'function' ) {
+            throw new MatrixError( MatrixError.ErrorCodes.INVALID_PARAMETERS, 'Applicator must be a function' );
+        }
+
+        if( typeof filter !== 'function' ) {
+            throw new MatrixError( MatrixError.ErrorCodes.INVALID_PARAMETERS, 'Filter must be a function' );
+        }
+
+        var current, index,
+            elements = this.___getElements(),
+            columns = this.columns();
+
+        for( var i = 0; i < this.rows(); i++ ) {
+            for( var j = 0; j < columns; j++ ) {
+                index = i * columns + j;
+                current = elements[index];
+
+                if( filter( current, i + 1, j + 1 ) ) {
+                    elements[index] = applicator( current, i + 1, j + 1 );
+                }
+            }
+        }
+
+        return this;
+    };
+
     /**
      * Apply a custom function to each non-zero entry.
      * @param {function(number, number, number): number} applicator Function to apply. It will be provided with three
@@ -1465,11 +4054,36 @@
         }, null );
     };
 
+    /**
+     * Multiply point-wise (Hadamard product).
+     * A scalar, a 1xn row or a mx1 column will be broadcast, i.e. stretched across the other operand.
+     * @param {(Matrix|number)} M Matrix or scalar
+     * @returns {Matrix} Matrix R with R(i,j) = this(i,j) * M(i,j).
+     */
+    Matrix.prototype.pw_multiply = function (M) {
+        return broadcast( this, M, function (a, b) {
+            return a * b;
+        } );
+    };
+
+    /**
+     * Divide point-wise.
+     * A scalar, a 1xn row or a mx1 column will be broadcast, i.e. stretched across the other operand.
+     * @param {(Matrix|number)} M Matrix or scalar
+     * @returns {Matrix} Matrix R with R(i,j) = this(i,j) / M(i,j).
+     */
+    Matrix.prototype.pw_divide = function (M) {
+        return broadcast( this, M, function (a, b) {
+            return a / b;
+        } );
+    };
+
     /**
      * Calculate the norm.
      * @param {string} [which='max'] Which norm to compute. Possible values are:
      *  - 'p' or 'pnorm': Entry-wise p-norm. The args parameter is required and has to specify p.
-     *  - 'frobenius': Frobenius norm, a.k.a. the 2-norm.
+     *  - 'frobenius': Frobenius norm, i.e. the entry-wise 2-norm.
+     *  - 'spectral': Spectral norm, i.e. the operator 2-norm (largest singular value).
      *  - 'rows' or 'rowsum': Row-sum norm.
      *  - 'columns' or 'columnsum': Column-sum norm.
      *  - 'max': Maximum norm.
@@ -1486,6 +4100,8 @@
                 return this.pnorm( Number( args ) );
             case 'frobenius':
                 return this.pnorm( 2 );
+            case 'spectral':
+                return this.spectralnorm();
             case 'rows':
             case 'rowsum':
                 return this.rownorm();
@@ -1525,6 +4141,14 @@
         return Math.pow( norm, 1 / p );
     };
 
+    /**
+     * Calculate the spectral norm, i.e. the largest singular value.
+     * @returns {number}
+     */
+    Matrix.prototype.spectralnorm = function () {
+        return this.svd( true ).S[0] || 0;
+    };
+
     /**
      * Calculate the maximum norm.
      * @returns {number}
@@ -1555,7 +4179,7 @@
             rows = this.rows();
 
         for( var i = 1; i <= rows; i++ ) {
-            norm = Math.max( norm, this.__getRow( i ).toMatrix( 1 ).pnorm( 1 ) );
+            norm = Math.max( norm, new Matrix( this.__getRow( i ), 1 ).pnorm( 1 ) );
         }
 
         return norm;
@@ -1570,7 +4194,7 @@
             columns = this.columns();
 
         for( var i = 1; i <= columns; i++ ) {
-            norm = Math.max( norm, this.__getColumn( i ).toMatrix( null, 1 ).pnorm( 1 ) );
+            norm = Math.max( norm, new Matrix( this.__getColumn( i ), null, 1 ).pnorm( 1 ) );
         }
 
         return norm;
@@ -1621,6 +4245,15 @@
         return copyArray( this.___getElements() );
     };
 
+    /**
+     * Get the underlying storage of the elements without copying it, e.g. to pass a typed array to other libraries.
+     * The elements are stored from left to right, top to bottom. Note: Modifying the buffer modifies the matrix.
+     * @returns {(Array.<number>|Float64Array|Float32Array)}
+     */
+    Matrix.prototype.getBuffer = function () {
+        return this.___getElements();
+    };
+
     /**
      * Returns a matrix of zeros.
      * If called with only one argument n, it will return a n-by-n matrix with zeros.
@@ -1695,6 +4328,14 @@
 
     /**
      * Returns a random matrix.
+     * All random functions accept an options object as an additional last argument. Supported options are:
+     *  - seed: Seed for a new {@link MatrixUtils.xorshift} generator, which makes the result reproducible. A seed
+     *    that is not an integer is rejected.
+     *  - generator: Function returning uniformly distributed numbers in [0, 1) to use instead.
+     *  Without these options, {@link MatrixUtils.options.random} determines the generator.
+     *    @example
+     *      Matrix.random( 3, 3, 0, 10, true, { seed: 42 } );
+     *      Matrix.random( 3, { seed: 42 } );
      * @param {number} rows Number of rows
      * @param {number} [columns=rows] Number of columns
      * @param {number} [minVal=0] Smallest possible value for entries
@@ -1704,27 +4345,523 @@
      * @static
      */
     Matrix.random = function (rows, columns, minVal, maxVal, onlyInteger) {
-        columns = getNumberWithDefault( columns, rows );
-        minVal = getNumberWithDefault( minVal, MatrixUtils.options.random.minVal );
-        maxVal = getNumberWithDefault( maxVal, MatrixUtils.options.random.maxVal );
-        onlyInteger = getBooleanWithDefault( onlyInteger, MatrixUtils.options.random.onlyInteger );
+        var args = copyArray( arguments ),
+            random = getRandomGenerator( popOptions( args ) );
+
+        columns = getNumberWithDefault( args[1], rows );
+        minVal = getNumberWithDefault( args[2], MatrixUtils.options.random.minVal );
+        maxVal = getNumberWithDefault( args[3], MatrixUtils.options.random.maxVal );
+        onlyInteger = getBooleanWithDefault( args[4], MatrixUtils.options.random.onlyInteger );
 
         var Result = new Matrix( rows, columns ),
             factor = ( maxVal - minVal ) + ( (onlyInteger) ? 1 : 0 ),
             current;
 
-        for( var i = 1; i <= rows; i++ ) {
-            for( var j = 1; j <= columns; j++ ) {
-                current = minVal + ( Math.random() * factor );
-                if( onlyInteger ) {
-                    current = current | 0;
-                }
+        for( var i = 1; i <= rows; i++ ) {
+            for( var j = 1; j <= columns; j++ ) {
+                current = minVal + ( random() * factor );
+                if( onlyInteger ) {
+                    current = current | 0;
+                }
+
+                Result.___set( i, j, current );
+            }
+        }
+
+        return Result;
+    };
+
+    /**
+     * Returns a matrix with entries drawn uniformly from the interval [minVal, maxVal).
+     * @param {number} rows Number of rows
+     * @param {number} [columns=rows] Number of columns
+     * @param {number} [minVal=0] Lower bound of the interval
+     * @param {number} [maxVal=1] Upper bound of the interval
+     * @returns {Matrix}
+     * @static
+     */
+    Matrix.uniform = function (rows, columns, minVal, maxVal) {
+        var args = copyArray( arguments ),
+            options = popOptions( args );
+
+        return Matrix.random( rows, getNumberWithDefault( args[1], rows ), getNumberWithDefault( args[2], 0 ),
+            getNumberWithDefault( args[3], 1 ), false, options );
+    };
+
+    /**
+     * Returns a matrix with normally distributed entries, generated with the Box-Muller transform.
+     * @param {number} rows Number of rows
+     * @param {number} [columns=rows] Number of columns
+     * @param {number} [mean=0] Mean of the distribution
+     * @param {number} [std=1] Standard deviation of the distribution
+     * @returns {Matrix}
+     * @static
+     */
+    Matrix.randn = function (rows, columns, mean, std) {
+        var args = copyArray( arguments ),
+            random = getRandomGenerator( popOptions( args ) );
+
+        columns = getNumberWithDefault( args[1], rows );
+        mean = getNumberWithDefault( args[2], 0 );
+        std = getNumberWithDefault( args[3], 1 );
+
+        var Result = new Matrix( rows, columns ),
+            elements = Result.___getElements(),
+            radius, angle;
+
+        for( var i = 0; i < elements.length; i += 2 ) {
+            // 1 - random() lies in (0, 1], so the logarithm is finite
+            radius = Math.sqrt( -2 * Math.log( 1 - random() ) );
+            angle = 2 * Math.PI * random();
+
+            elements[i] = mean + std * radius * Math.cos( angle );
+            if( i + 1 < elements.length ) {
+                elements[i + 1] = mean + std * radius * Math.sin( angle );
+            }
+        }
+
+        return Result;
+    };
+
+    /**
+     * Returns a random orthogonal matrix drawn from the Haar distribution, i.e. uniformly from the orthogonal group.
+     * It is obtained from the QR decomposition of a matrix with normally distributed entries, where the signs of
+     * the columns of Q are chosen such that R has a positive diagonal.
+     * @param {number} n Size of the matrix
+     * @returns {Matrix}
+     * @static
+     */
+    Matrix.randomOrthogonal = function (n) {
+        var args = copyArray( arguments ),
+            random = getRandomGenerator( popOptions( args ) ),
+            QR = Matrix.randn( n, n, 0, 1, { generator: random } ).decomposeQR();
+
+        return QR.Q.fun( function (value, i, j) {
+            return (QR.R.___get( j, j ) < 0) ? -value : value;
+        } );
+    };
+
+    /**
+     * Returns a random symmetric positive definite matrix Q * D * Q^T with a random orthogonal matrix Q and
+     * eigenvalues D between 1 / cond and 1, spaced logarithmically.
+     * @param {number} n Size of the matrix
+     * @param {number} [cond=MatrixUtils.options.randomSPD.cond] Condition number of the matrix
+     * @returns {Matrix}
+     * @static
+     */
+    Matrix.randomSPD = function (n, cond) {
+        var args = copyArray( arguments ),
+            random = getRandomGenerator( popOptions( args ) );
+
+        cond = getNumberWithDefault( args[1], MatrixUtils.options.randomSPD.cond );
+
+        if( cond < 1 ) {
+            throw new MatrixError( MatrixError.ErrorCodes.INVALID_PARAMETERS, 'Condition number must be at least 1' );
+        }
+
+        var Q = Matrix.randomOrthogonal( n, { generator: random } ),
+            eigenvalues = [];
+
+        for( var i = 0; i < n; i++ ) {
+            eigenvalues.push( Math.pow( cond, -i / Math.max( n - 1, 1 ) ) );
+        }
+
+        var Result = Q.multiply( Matrix.diag( eigenvalues ) ).multiply( Q.transpose() );
+
+        // remove the asymmetry introduced by rounding errors
+        return Result.add( Result.transpose() ).scale( 0.5 );
+    };
+
+    /**
+     * Returns a random symmetric matrix with entries drawn uniformly from [minVal, maxVal).
+     * @param {number} n Size of the matrix
+     * @param {number} [minVal=0] Lower bound for the entries
+     * @param {number} [maxVal=1] Upper bound for the entries
+     * @returns {Matrix}
+     * @static
+     */
+    Matrix.randomSymmetric = function (n, minVal, maxVal) {
+        var args = copyArray( arguments ),
+            random = getRandomGenerator( popOptions( args ) ),
+            Result = new Matrix( n, n ),
+            value;
+
+        minVal = getNumberWithDefault( args[1], 0 );
+        maxVal = getNumberWithDefault( args[2], 1 );
+
+        if( minVal > maxVal ) {
+            throw new MatrixError( MatrixError.ErrorCodes.INVALID_PARAMETERS, 'Lower bound must not exceed upper bound' );
+        }
+
+        for( var i = 1; i <= n; i++ ) {
+            for( var j = i; j <= n; j++ ) {
+                value = minVal + random() * (maxVal - minVal);
+
+                Result.___set( i, j, value );
+                Result.___set( j, i, value );
+            }
+        }
+
+        return Result;
+    };
+
+    /**
+     * Returns a random triangular matrix with entries drawn uniformly from [minVal, maxVal).
+     * @param {number} n Size of the matrix
+     * @param {string} [mode='upper'] Either 'upper' or 'lower'. Can be omitted even if bounds are given.
+     * @param {number} [minVal=0] Lower bound for the entries
+     * @param {number} [maxVal=1] Upper bound for the entries
+     * @returns {Matrix}
+     * @static
+     */
+    Matrix.randomTriangular = function (n, mode, minVal, maxVal) {
+        var args = copyArray( arguments ),
+            options = popOptions( args );
+
+        // the mode is optional, so bounds directly after the size are shifted into place
+        if( isNumber( args[1] ) ) {
+            args.splice( 1, 0, undefined );
+        }
+
+        mode = getStringWithDefault( args[1], 'upper' );
+
+        switch( mode ) {
+            case 'upper':
+                return Matrix.randomBanded( n, 0, n - 1, args[2], args[3], options );
+            case 'lower':
+                return Matrix.randomBanded( n, n - 1, 0, args[2], args[3], options );
+            default:
+                throw new MatrixError( MatrixError.ErrorCodes.INVALID_PARAMETERS, 'Mode must be either upper or lower' );
+        }
+    };
+
+    /**
+     * Returns a random banded matrix with entries drawn uniformly from [minVal, maxVal) inside of the band, i.e. for
+     * -lower <= j - i <= upper, and zeros outside of it.
+     * @param {number} n Size of the matrix
+     * @param {number} lower Number of subdiagonals
+     * @param {number} upper Number of superdiagonals
+     * @param {number} [minVal=0] Lower bound for the entries
+     * @param {number} [maxVal=1] Upper bound for the entries
+     * @returns {Matrix}
+     * @static
+     */
+    Matrix.randomBanded = function (n, lower, upper, minVal, maxVal) {
+        var args = copyArray( arguments ),
+            random = getRandomGenerator( popOptions( args ) ),
+            Result = new Matrix( n, n );
+
+        minVal = getNumberWithDefault( args[3], 0 );
+        maxVal = getNumberWithDefault( args[4], 1 );
+
+        if( !isInteger( lower ) || !isInteger( upper ) || lower < 0 || upper < 0 ) {
+            throw new MatrixError( MatrixError.ErrorCodes.INVALID_PARAMETERS, 'Bandwidths must be non-negative integers' );
+        }
+
+        if( minVal > maxVal ) {
+            throw new MatrixError( MatrixError.ErrorCodes.INVALID_PARAMETERS, 'Lower bound must not exceed upper bound' );
+        }
+
+        for( var i = 1; i <= n; i++ ) {
+            for( var j = Math.max( 1, i - lower ); j <= Math.min( n, i + upper ); j++ ) {
+                Result.___set( i, j, minVal + random() * (maxVal - minVal) );
+            }
+        }
+
+        return Result;
+    };
+
+    /**
+     * Convert an array to a matrix.
+     * This method simply calls the {@link Matrix} constructor.
+     * @param {Array.<number>} array Entries read from left to right, top to bottom
+     * @param {number} [rows] Number of rows
+     * @param {number} [columns] Number of columns
+     * @returns {Matrix}
+     * @static
+     */
+    Matrix.fromArray = function (array, rows, columns) {
+        return new Matrix( array, rows, columns );
+    };
+
+    /**
+     * Parse a matrix from a string, e.g. one created by {@link Matrix.prototype.stringify}.
+     * @param {string} string String representation of the matrix
+     * @param {string} [rowSeparator=MatrixUtils.options.stringify.rowSeparator] Row separator
+     * @param {string} [columnSeparator=MatrixUtils.options.stringify.columnSeparator] Column separator
+     * @returns {Matrix}
+     * @static
+     */
+    Matrix.fromString = function (string, rowSeparator, columnSeparator) {
+        rowSeparator = getStringWithDefault( rowSeparator, MatrixUtils.options.stringify.rowSeparator );
+        columnSeparator = getStringWithDefault( columnSeparator, MatrixUtils.options.stringify.columnSeparator );
+
+        var rows = String( string ).split( rowSeparator ),
+            columns,
+            numColumns = 0,
+            Result = new Matrix( 0 );
+
+        for( var i = 0; i < rows.length; i++ ) {
+            columns = rows[i].split( columnSeparator );
+            if( numColumns === 0 ) {
+                numColumns = columns.length;
+                Result = new Matrix( rows.length, numColumns );
+            }
+
+            if( columns.length !== numColumns ) {
+                throw new MatrixError( MatrixError.ErrorCodes.INVALID_PARAMETERS, 'Number of columns is inconsistent' );
+            }
+
+            for( var j = 1; j <= numColumns; j++ ) {
+                Result.___set( i + 1, j, Number( columns[j - 1] ) );
+            }
+        }
+
+        return Result;
+    };
+
+    /**
+     * Assemble a matrix from blocks.
+     * Blocks can be matrices, sparse matrices or numbers. A number will be repeated to fill its block, the size of
+     * which is determined by the other blocks in the same block row and block column (or 1 if there are none).
+     * The result has the storage type of the first block that is a (dense) matrix.
+     *    @example
+     *      // KKT matrix
+     *      Matrix.block( [
+     *          [H, A.transpose()],
+     *          [A, 0]
+     *      ] );
+     * @param {Array.<Array.<(Matrix|SparseMatrix|number)>>} blocks Array of block rows
+     * @returns {Matrix}
+     * @static
+     */
+    Matrix.block = function (blocks) {
+        if( !isArray( blocks ) || blocks.length === 0 || !isArray( blocks[0] ) ) {
+            throw new MatrixError( MatrixError.ErrorCodes.INVALID_PARAMETERS, 'Blocks must be an array of arrays' );
+        }
+
+        var blockRows = blocks.length,
+            blockColumns = blocks[0].length,
+            heights = MatrixUtils.repeat( blockRows, null ),
+            widths = MatrixUtils.repeat( blockColumns, null ),
+            block, i, j;
+
+        var checkSize = function (sizes, index, size, i, j, what) {
+            if( sizes[index] !== null && sizes[index] !== size ) {
+                throw new MatrixError( MatrixError.ErrorCodes.DIMENSION_MISMATCH, 'Block (' + (i + 1) + ', '
+                    + (j + 1) + ') has ' + size + ' ' + what + ', but ' + sizes[index] + ' were expected' );
+            }
+
+            sizes[index] = size;
+        };
+
+        for( i = 0; i < blockRows; i++ ) {
+            if( !isArray( blocks[i] ) || blocks[i].length !== blockColumns ) {
+                throw new MatrixError( MatrixError.ErrorCodes.INVALID_PARAMETERS,
+                    'Block row ' + (i + 1) + ' must contain ' + blockColumns + ' blocks' );
+            }
+
+            for( j = 0; j < blockColumns; j++ ) {
+                block = blocks[i][j];
+
+                if( isNumber( block ) ) {
+                    continue;
+                }
+
+                if( !(block instanceof Matrix || block instanceof SparseMatrix) ) {
+                    throw new MatrixError( MatrixError.ErrorCodes.INVALID_PARAMETERS,
+                        'Block (' + (i + 1) + ', ' + (j + 1) + ') must be a matrix or a number' );
+                }
+
+                checkSize( heights, i, block.rows(), i, j, 'rows' );
+                checkSize( widths, j, block.columns(), i, j, 'columns' );
+            }
+        }
+
+        // the result is stored like the first dense block
+        var dtype = null;
+        for( i = 0; i < blockRows && dtype === null; i++ ) {
+            for( j = 0; j < blockColumns && dtype === null; j++ ) {
+                dtype = (blocks[i][j] instanceof Matrix) ? blocks[i][j].dtype() : null;
+            }
+        }
+        dtype = getStringWithDefault( dtype, MatrixUtils.options.matrix.dtype );
+
+        var rowOffsets = [0], columnOffsets = [0];
+        for( i = 0; i < blockRows; i++ ) {
+            heights[i] = (heights[i] === null) ? 1 : heights[i];
+            rowOffsets.push( rowOffsets[i] + heights[i] );
+        }
+        for( j = 0; j < blockColumns; j++ ) {
+            widths[j] = (widths[j] === null) ? 1 : widths[j];
+            columnOffsets.push( columnOffsets[j] + widths[j] );
+        }
+
+        var Result = new Matrix( rowOffsets[blockRows], columnOffsets[blockColumns], { dtype: dtype } ),
+            row, r, c;
+
+        for( i = 0; i < blockRows; i++ ) {
+            for( j = 0; j < blockColumns; j++ ) {
+                block = blocks[i][j];
+
+                for( r = 1; r <= heights[i]; r++ ) {
+                    row = isNumber( block ) ? null : block.__getRow( r );
+
+                    for( c = 1; c <= widths[j]; c++ ) {
+                        Result.___set( rowOffsets[i] + r, columnOffsets[j] + c, (row === null) ? block : row[c - 1] );
+                    }
+                }
+            }
+        }
+
+        return Result;
+    };
+
+    /**
+     * Concatenate matrices horizontally, i.e. [A, B, ...].
+     * @param {...(Matrix|SparseMatrix|number)} var_args Blocks, see {@link Matrix.block}
+     * @returns {Matrix}
+     * @static
+     */
+    Matrix.hstack = function (var_args) {
+        return Matrix.block( [copyArray( arguments )] );
+    };
+
+    /**
+     * Concatenate matrices vertically, i.e. [A; B; ...].
+     * @param {...(Matrix|SparseMatrix|number)} var_args Blocks, see {@link Matrix.block}
+     * @returns {Matrix}
+     * @static
+     */
+    Matrix.vstack = function (var_args) {
+        var blocks = [];
+        for( var i = 0; i < arguments.length; i++ ) {
+            blocks.push( [arguments[i]] );
+        }
+
+        return Matrix.block( blocks );
+    };
+
+    /**
+     * Solve the linear system A * x = b in the least-squares sense, i.e. minimize the sum of the weighted squared
+     * residuals w_i * (b_i - (A * x)_i)^2 plus ridge * |x|^2.
+     * The problem is solved with a Householder QR decomposition of the (weighted and augmented) matrix whose
+     * reflectors are applied to b directly, so neither A^T * A nor Q is ever formed.
+     * @param {Matrix} A Matrix with at least as many rows as columns (unless ridge is positive)
+     * @param {(Array.<number>|Vector)} b Right-hand side vector with one entry per row of A. Multiple right-hand sides
+     * are not supported.
+     * @param {Object} [options] Options for the regression:
+     *  - ridge: Non-negative Tikhonov regularization parameter, defaults to {@link MatrixUtils.options.lstsq.ridge}.
+     *  - weights: Array or vector of non-negative weights, one per row. Defaults to equal weights.
+     * @returns {{coefficients: Vector, residuals: Vector, rSquared: number}} Object with the solution x, the
+     * residuals b - A * x and the (weighted) coefficient of determination.
+     * @static
+     */
+    Matrix.lstsq = function (A, b, options) {
+        options = options || {};
+        b = toArray( b );
+
+        var rows = A.rows(),
+            columns = A.columns(),
+            ridge = getNumberWithDefault( options.ridge, MatrixUtils.options.lstsq.ridge ),
+            weights = (options.weights) ? toArray( options.weights ) : MatrixUtils.repeat( rows, 1 ),
+            i, j;
+
+        if( b.length !== rows || weights.length !== rows ) {
+            throw new MatrixError( MatrixError.ErrorCodes.DIMENSION_MISMATCH,
+                'Right-hand side and weights must have as many entries as the matrix has rows' );
+        }
+
+        if( ridge < 0 || weights.some( function (weight) {
+                return !(weight >= 0);
+            } ) ) {
+            throw new MatrixError( MatrixError.ErrorCodes.INVALID_PARAMETERS,
+                'Ridge parameter and weights must not be negative' );
+        }
+
+        // scaling the rows with the square root of the weights turns the problem into an ordinary one,
+        // the ridge penalty is appended as additional rows sqrt(ridge) * I with zero right-hand side
+        var augmentedRows = rows + ((ridge > 0) ? columns : 0),
+            M = new Matrix( augmentedRows, columns ),
+            y = new Matrix( augmentedRows, 1 ),
+            factor;
+
+        if( augmentedRows < columns ) {
+            throw new MatrixError( MatrixError.ErrorCodes.DIMENSION_MISMATCH,
+                'System must not have more unknowns than equations' );
+        }
+
+        for( i = 1; i <= rows; i++ ) {
+            factor = Math.sqrt( weights[i - 1] );
+
+            for( j = 1; j <= columns; j++ ) {
+                M.___set( i, j, factor * A.___get( i, j ) );
+            }
+
+            y.___set( i, 1, factor * b[i - 1] );
+        }
+
+        for( i = rows + 1; i <= augmentedRows; i++ ) {
+            M.___set( i, i - rows, Math.sqrt( ridge ) );
+        }
+
+        // overwrite y with Q^T * y by applying the reflectors in the order they were computed
+        var householder = M.__decomposeHouseholder(),
+            R = householder.R,
+            x = MatrixUtils.repeat( columns, 0 ),
+            maxDiagonal = 0,
+            value;
+
+        for( i = 0; i < householder.reflectors.length; i++ ) {
+            applyReflector( y, householder.reflectors[i], 1 );
+        }
+
+        for( i = 1; i <= columns; i++ ) {
+            maxDiagonal = Math.max( maxDiagonal, Math.abs( R.___get( i, i ) ) );
+        }
+
+        for( i = columns; i >= 1; i-- ) {
+            if( Math.abs( R.___get( i, i ) ) <= maxDiagonal * augmentedRows * EPSILON ) {
+                throw new MatrixError( MatrixError.ErrorCodes.MATRIX_IS_SINGULAR,
+                    'Matrix does not have full column rank' );
+            }
+
+            value = y.___get( i, 1 );
+            for( j = i + 1; j <= columns; j++ ) {
+                value -= R.___get( i, j ) * x[j - 1];
+            }
+
+            x[i - 1] = value / R.___get( i, i );
+        }
 
-                Result.___set( i, j, current );
+        var residuals = [],
+            weightSum = 0,
+            weightedMean = 0,
+            residualSum = 0,
+            totalSum = 0;
+
+        for( i = 1; i <= rows; i++ ) {
+            value = b[i - 1];
+            for( j = 1; j <= columns; j++ ) {
+                value -= A.___get( i, j ) * x[j - 1];
             }
+
+            residuals.push( value );
+            residualSum += weights[i - 1] * value * value;
+            weightSum += weights[i - 1];
+            weightedMean += weights[i - 1] * b[i - 1];
         }
 
-        return Result;
+        weightedMean /= weightSum;
+        for( i = 0; i < rows; i++ ) {
+            totalSum += weights[i] * (b[i] - weightedMean) * (b[i] - weightedMean);
+        }
+
+        return {
+            /** @expose */ coefficients: new Vector( x ),
+            /** @expose */ residuals: new Vector( residuals ),
+            /** @expose */ rSquared: (totalSum === 0) ? ((residualSum === 0) ? 1 : 0) : 1 - residualSum / totalSum
+        };
     };
 
     /* SparseMatrix */
@@ -1887,6 +5024,219 @@
         return this;
     };
 
+    /**
+     * Creates a sparse matrix from the given rows and columns. The column indices must not contain duplicates.
+     * @private
+     * @ignore
+     */
+    SparseMatrix.prototype.__selectLines = function (rowIndices, columnIndices) {
+        var rowPointer = this.___getRowPointer(),
+            columnIndicator = this.___getColumnIndicator(),
+            elements = this.___getElements(),
+            columnMap = MatrixUtils.repeat( this.columns() + 1, 0 ),
+            resultElements = [], resultColumnIndicator = [], resultRowPointer = [0],
+            entries, i, k;
+
+        for( i = 0; i < columnIndices.length; i++ ) {
+            columnMap[columnIndices[i]] = i + 1;
+        }
+
+        for( i = 0; i < rowIndices.length; i++ ) {
+            entries = [];
+            for( k = rowPointer[rowIndices[i] - 1]; k < rowPointer[rowIndices[i]]; k++ ) {
+                if( columnMap[columnIndicator[k]] !== 0 ) {
+                    entries.push( { column: columnMap[columnIndicator[k]], value: elements[k] } );
+                }
+            }
+
+            entries.sort( function (a, b) {
+                return a.column - b.column;
+            } );
+
+            for( k = 0; k < entries.length; k++ ) {
+                resultElements.push( entries[k].value );
+                resultColumnIndicator.push( entries[k].column );
+            }
+
+            resultRowPointer.push( resultElements.length );
+        }
+
+        return new SparseMatrix( rowIndices.length, columnIndices.length, resultElements, resultColumnIndicator,
+            resultRowPointer );
+    };
+
+    /**
+     * Remove rows from the matrix.
+     * @param {(number|string|Array.<number>|Array.<boolean>)} indices Rows to remove, given in any form accepted by
+     * {@link Matrix#select}
+     * @returns {SparseMatrix}
+     */
+    SparseMatrix.prototype.removeRows = function (indices) {
+        return this.__selectLines( complementIndices( resolveIndices( indices, this.rows() ), this.rows() ),
+            resolveIndices( null, this.columns() ) );
+    };
+
+    /**
+     * Remove columns from the matrix.
+     * @param {(number|string|Array.<number>|Array.<boolean>)} indices Columns to remove, given in any form accepted by
+     * {@link Matrix#select}
+     * @returns {SparseMatrix}
+     */
+    SparseMatrix.prototype.removeColumns = function (indices) {
+        return this.__selectLines( resolveIndices( null, this.rows() ),
+            complementIndices( resolveIndices( indices, this.columns() ), this.columns() ) );
+    };
+
+    /**
+     * Insert a row into the matrix.
+     * @param {number} at Row index the new row will have. Use rows() + 1 to append the row.
+     * @param {(Array.<number>|Matrix)} entries Array or matrix of entries to insert
+     * @returns {SparseMatrix}
+     */
+    SparseMatrix.prototype.insertRow = function (at, entries) {
+        var rows = this.rows(),
+            columns = this.columns();
+        entries = toArray( entries );
+
+        if( !isInteger( at ) || at < 1 || at > rows + 1 ) {
+            throw new MatrixError( MatrixError.ErrorCodes.OUT_OF_BOUNDS );
+        }
+
+        if( entries.length !== columns ) {
+            throw new MatrixError( MatrixError.ErrorCodes.DIMENSION_MISMATCH, 'Wrong number of columns in row' );
+        }
+
+        var elements = copyArray( this.___getElements() ),
+            columnIndicator = copyArray( this.___getColumnIndicator() ),
+            rowPointer = copyArray( this.___getRowPointer() ),
+            offset = rowPointer[at - 1],
+            count = 0;
+
+        for( var j = 0; j < columns; j++ ) {
+            if( entries[j] !== 0 ) {
+                elements.splice( offset + count, 0, entries[j] );
+                columnIndicator.splice( offset + count, 0, j + 1 );
+                count++;
+            }
+        }
+
+        for( var i = at; i < rowPointer.length; i++ ) {
+            rowPointer[i] += count;
+        }
+        rowPointer.splice( at, 0, offset + count );
+
+        return new SparseMatrix( rows + 1, columns, elements, columnIndicator, rowPointer );
+    };
+
+    /**
+     * Insert a column into the matrix.
+     * @param {number} at Column index the new column will have. Use columns() + 1 to append the column.
+     * @param {(Array.<number>|Matrix)} entries Array or matrix of entries to insert
+     * @returns {SparseMatrix}
+     */
+    SparseMatrix.prototype.insertColumn = function (at, entries) {
+        var rows = this.rows(),
+            columns = this.columns();
+        entries = toArray( entries );
+
+        if( !isInteger( at ) || at < 1 || at > columns + 1 ) {
+            throw new MatrixError( MatrixError.ErrorCodes.OUT_OF_BOUNDS );
+        }
+
+        if( entries.length !== rows ) {
+            throw new MatrixError( MatrixError.ErrorCodes.DIMENSION_MISMATCH, 'Wrong number of rows in column' );
+        }
+
+        var rowPointer = this.___getRowPointer(),
+            columnIndicator = this.___getColumnIndicator(),
+            elements = this.___getElements(),
+            resultElements = [], resultColumnIndicator = [], resultRowPointer = [0],
+            inserted, column;
+
+        for( var i = 0; i < rows; i++ ) {
+            // a zero entry doesn't need to be stored, so treat it as already inserted
+            inserted = (entries[i] === 0);
+
+            for( var k = rowPointer[i]; k < rowPointer[i + 1]; k++ ) {
+                column = columnIndicator[k];
+
+                if( !inserted && column >= at ) {
+                    resultElements.push( entries[i] );
+                    resultColumnIndicator.push( at );
+                    inserted = true;
+                }
+
+                resultElements.push( elements[k] );
+                resultColumnIndicator.push( (column >= at) ? column + 1 : column );
+            }
+
+            if( !inserted ) {
+                resultElements.push( entries[i] );
+                resultColumnIndicator.push( at );
+            }
+
+            resultRowPointer.push( resultElements.length );
+        }
+
+        return new SparseMatrix( rows, columns + 1, resultElements, resultColumnIndicator, resultRowPointer );
+    };
+
+    /**
+     * Swap two rows.
+     * Note: This function modifies the instance it is called on.
+     * @param {number} i Index of the first row
+     * @param {number} j Index of the second row
+     * @returns {SparseMatrix}
+     */
+    SparseMatrix.prototype.swapRows = function (i, j) {
+        if( !this.isInRange( i, null ) || !this.isInRange( j, null ) ) {
+            throw new MatrixError( MatrixError.ErrorCodes.OUT_OF_BOUNDS );
+        }
+
+        var row = this.__getRow( i );
+        this.__setRow( i, this.__getRow( j ) );
+        return this.__setRow( j, row );
+    };
+
+    /**
+     * Swap two columns.
+     * Note: This function modifies the instance it is called on.
+     * @param {number} i Index of the first column
+     * @param {number} j Index of the second column
+     * @returns {SparseMatrix}
+     */
+    SparseMatrix.prototype.swapColumns = function (i, j) {
+        if( !this.isInRange( null, i ) || !this.isInRange( null, j ) ) {
+            throw new MatrixError( MatrixError.ErrorCodes.OUT_OF_BOUNDS );
+        }
+
+        var column = this.__getColumn( i );
+        this.__setColumn( i, this.__getColumn( j ) );
+        return this.__setColumn( j, column );
+    };
+
+    /**
+     * Permute the rows.
+     * @param {(Array.<number>|Matrix)} permutation Permutation vector p, i.e. row i of the result is row p[i] of
+     * this matrix.
+     * @returns {SparseMatrix}
+     */
+    SparseMatrix.prototype.permuteRows = function (permutation) {
+        return this.__selectLines( resolvePermutation( permutation, this.rows() ),
+            resolveIndices( null, this.columns() ) );
+    };
+
+    /**
+     * Permute the columns.
+     * @param {(Array.<number>|Matrix)} permutation Permutation vector p, i.e. column j of the result is column p[j]
+     * of this matrix.
+     * @returns {SparseMatrix}
+     */
+    SparseMatrix.prototype.permuteColumns = function (permutation) {
+        return this.__selectLines( resolveIndices( null, this.rows() ),
+            resolvePermutation( permutation, this.columns() ) );
+    };
+
     /**
      * Check if matrix has the same dimensions as another matrix.
      * @param {SparseMatrix} M
@@ -2057,6 +5407,198 @@
             copyArray( this.___getColumnIndicator() ), copyArray( this.___getRowPointer() ) );
     };
 
+    /**
+     * Multiply with another matrix or a vector. The sparse operand is never converted to its dense form.
+     *  - If M is an array, it is treated as a dense column vector and the product is returned as an array.
+     *  - If M is a column Vector, the product will be a Vector.
+     *  - If M is a SparseMatrix, the product will be a SparseMatrix.
+     *  - If M is a Matrix, the product will be a Matrix.
+     * @param {(Array.<number>|Matrix|SparseMatrix)} M
+     * @returns {(Array.<number>|Vector|Matrix|SparseMatrix)}
+     */
+    SparseMatrix.prototype.multiply = function (M) {
+        var dimInner = (isArray( M )) ? M.length : M.rows();
+
+        if( this.columns() !== dimInner ) {
+            throw new MatrixError( MatrixError.ErrorCodes.DIMENSION_MISMATCH, 'Inner dimensions must match' );
+        }
+
+        if( isArray( M ) ) {
+            return this.__multiplyVector( M );
+        }
+
+        if( M instanceof Vector && M.isColumnVector() ) {
+            return new Vector( this.__multiplyVector( M.toArray() ) );
+        }
+
+        if( M instanceof SparseMatrix ) {
+            return this.__multiplySparse( M );
+        }
+
+        if( M instanceof Matrix ) {
+            return this.__multiplyDense( M );
+        }
+
+        throw new MatrixError( MatrixError.ErrorCodes.UNKNOWN_TYPE );
+    };
+
+    /**
+     * @private
+     * @ignore
+     */
+    SparseMatrix.prototype.__multiplyVector = function (v) {
+        var rows = this.rows(),
+            elements = this.___getElements(),
+            columnIndicator = this.___getColumnIndicator(),
+            rowPointer = this.___getRowPointer(),
+            result = MatrixUtils.repeat( rows, 0 );
+
+        for( var i = 0; i < rows; i++ ) {
+            for( var k = rowPointer[i]; k < rowPointer[i + 1]; k++ ) {
+                result[i] += elements[k] * v[columnIndicator[k] - 1];
+            }
+        }
+
+        return result;
+    };
+
+    /**
+     * @private
+     * @ignore
+     */
+    SparseMatrix.prototype.__multiplyDense = function (M) {
+        var rows = this.rows(),
+            columnsM = M.columns(),
+            elements = this.___getElements(),
+            columnIndicator = this.___getColumnIndicator(),
+            rowPointer = this.___getRowPointer(),
+            Result = new Matrix( rows, columnsM ),
+            row, otherRow, value, i, j, k;
+
+        for( i = 1; i <= rows; i++ ) {
+            row = MatrixUtils.repeat( columnsM, 0 );
+
+            for( k = rowPointer[i - 1]; k < rowPointer[i]; k++ ) {
+                value = elements[k];
+                otherRow = M.__getRow( columnIndicator[k] );
+
+                for( j = 0; j < columnsM; j++ ) {
+                    row[j] += value * otherRow[j];
+                }
+            }
+
+            Result.__setRow( i, row );
+        }
+
+        return Result;
+    };
+
+    /**
+     * Gustavson's algorithm, i.e. row i of the result is accumulated from the rows of M selected by the non-zero
+     * entries in row i of this matrix.
+     * @private
+     * @ignore
+     */
+    SparseMatrix.prototype.__multiplySparse = function (M) {
+        var rows = this.rows(),
+            columnsM = M.columns(),
+            elements = this.___getElements(),
+            columnIndicator = this.___getColumnIndicator(),
+            rowPointer = this.___getRowPointer(),
+            otherElements = M.___getElements(),
+            otherColumnIndicator = M.___getColumnIndicator(),
+            otherRowPointer = M.___getRowPointer(),
+            resultElements = [],
+            resultColumnIndicator = [],
+            resultRowPointer = [0],
+            accumulator = MatrixUtils.repeat( columnsM, 0 ),
+            marker = MatrixUtils.repeat( columnsM, -1 ),
+            usedColumns, value, column, i, j, k, l;
+
+        for( i = 0; i < rows; i++ ) {
+            usedColumns = [];
+
+            for( k = rowPointer[i]; k < rowPointer[i + 1]; k++ ) {
+                value = elements[k];
+                j = columnIndicator[k] - 1;
+
+                for( l = otherRowPointer[j]; l < otherRowPointer[j + 1]; l++ ) {
+                    column = otherColumnIndicator[l] - 1;
+
+                    if( marker[column] !== i ) {
+                        marker[column] = i;
+                        accumulator[column] = 0;
+                        usedColumns.push( column );
+                    }
+
+                    accumulator[column] += value * otherElements[l];
+                }
+            }
+
+            usedColumns.sort( function (a, b) {
+                return a - b;
+            } );
+
+            for( k = 0; k < usedColumns.length; k++ ) {
+                column = usedColumns[k];
+
+                // entries can cancel out, but zeros must not be stored
+                if( accumulator[column] !== 0 ) {
+                    resultElements.push( accumulator[column] );
+                    resultColumnIndicator.push( column + 1 );
+                }
+            }
+
+            resultRowPointer.push( resultElements.length );
+        }
+
+        return new SparseMatrix( rows, columnsM, resultElements, resultColumnIndicator, resultRowPointer );
+    };
+
+    /**
+     * Calculate the Kronecker product, i.e. the block matrix with blocks this(i,j) * M.
+     * @param {(Matrix|SparseMatrix)} M
+     * @returns {SparseMatrix}
+     */
+    SparseMatrix.prototype.kron = function (M) {
+        var rows = this.rows(),
+            rowsM = M.rows(),
+            columnsM = M.columns(),
+            rowPointer = this.___getRowPointer(),
+            columnIndicator = this.___getColumnIndicator(),
+            elements = this.___getElements(),
+            resultElements = [], resultColumnIndicator = [], resultRowPointer = [0],
+            rowsOfM = [], row, i, j, k, l;
+
+        // collect the non-zero entries of M once, ordered by their column index
+        for( k = 1; k <= rowsM; k++ ) {
+            row = M.__getRow( k );
+            rowsOfM.push( [] );
+
+            for( l = 0; l < columnsM; l++ ) {
+                if( row[l] !== 0 ) {
+                    rowsOfM[k - 1].push( { column: l + 1, value: row[l] } );
+                }
+            }
+        }
+
+        for( i = 0; i < rows; i++ ) {
+            for( k = 0; k < rowsM; k++ ) {
+                for( j = rowPointer[i]; j < rowPointer[i + 1]; j++ ) {
+                    for( l = 0; l < rowsOfM[k].length; l++ ) {
+                        resultElements.push( elements[j] * rowsOfM[k][l].value );
+                        resultColumnIndicator.push( (columnIndicator[j] - 1) * columnsM + rowsOfM[k][l].column );
+                    }
+                }
+
+                resultRowPointer.push( resultElements.length );
+            }
+        }
+
+        return new SparseMatrix( rows * rowsM, this.columns() * columnsM, resultElements, resultColumnIndicator,
+            resultRowPointer );
+    };
+
     /**
      * Return a copy of the matrix. This prevents accidental usage of references.
      * @returns {SparseMatrix}
@@ -2090,13 +5632,131 @@
         var rowPointer = this.___getRowPointer(),
             other_rowPointer = M.___getRowPointer();
 
-        for( var j = 0; j < rowPointer.length; j++ ) {
-            if( rowPointer[j] !== other_rowPointer[j] ) {
-                return false;
-            }
-        }
+        for( var j = 0; j < rowPointer.length; j++ ) {
+            if( rowPointer[j] !== other_rowPointer[j] ) {
+                return false;
+            }
+        }
+
+        return true;
+    };
+
+    /**
+     * Calculate the sum of the entries.
+     * @param {string} [axis=MatrixUtils.options.aggregate.axis] See {@link Matrix.prototype.sum}
+     * @returns {(Vector|number)}
+     */
+    SparseMatrix.prototype.sum = function (axis) {
+        return aggregateSparse( this, axis, function (entries) {
+            return sumArray( entries );
+        } );
+    };
+
+    /**
+     * Calculate the product of the entries.
+     * @param {string} [axis=MatrixUtils.options.aggregate.axis] See {@link Matrix.prototype.sum}
+     * @returns {(Vector|number)}
+     */
+    SparseMatrix.prototype.prod = function (axis) {
+        return aggregateSparse( this, axis, function (entries, zeros) {
+            return prodArray( (zeros === 0) ? entries : entries.concat( 0 ) );
+        } );
+    };
+
+    /**
+     * Calculate the arithmetic mean of the entries.
+     * @param {string} [axis=MatrixUtils.options.aggregate.axis] See {@link Matrix.prototype.sum}
+     * @returns {(Vector|number)}
+     */
+    SparseMatrix.prototype.mean = function (axis) {
+        return aggregateSparse( this, axis, function (entries, zeros) {
+            return sumArray( entries ) / (entries.length + zeros);
+        } );
+    };
+
+    /**
+     * Find the smallest entry.
+     * @param {string} [axis=MatrixUtils.options.aggregate.axis] See {@link Matrix.prototype.sum}
+     * @returns {(Vector|number)}
+     */
+    SparseMatrix.prototype.min = function (axis) {
+        return aggregateSparse( this, axis, function (entries, zeros) {
+            // a single zero stands in for all implicit zeros
+            return minArray( (zeros === 0) ? entries : entries.concat( 0 ) );
+        } );
+    };
+
+    /**
+     * Find the largest entry.
+     * @param {string} [axis=MatrixUtils.options.aggregate.axis] See {@link Matrix.prototype.sum}
+     * @returns {(Vector|number)}
+     */
+    SparseMatrix.prototype.max = function (axis) {
+        return aggregateSparse( this, axis, function (entries, zeros) {
+            return maxArray( (zeros === 0) ? entries : entries.concat( 0 ) );
+        } );
+    };
+
+    /**
+     * Find the index of the smallest entry. If it occurs more than once, the first index is returned.
+     * For axis 'all', the index counts the entries from left to right, top to bottom.
+     * @param {string} [axis=MatrixUtils.options.aggregate.axis] See {@link Matrix.prototype.sum}
+     * @returns {(Vector|number)}
+     */
+    SparseMatrix.prototype.argmin = function (axis) {
+        return aggregateSparse( this, axis, function (entries, zeros, positions) {
+            return argSparse( entries, zeros, positions, function (a, b) {
+                return a < b;
+            } );
+        } );
+    };
+
+    /**
+     * Find the index of the largest entry. If it occurs more than once, the first index is returned.
+     * For axis 'all', the index counts the entries from left to right, top to bottom.
+     * @param {string} [axis=MatrixUtils.options.aggregate.axis] See {@link Matrix.prototype.sum}
+     * @returns {(Vector|number)}
+     */
+    SparseMatrix.prototype.argmax = function (axis) {
+        return aggregateSparse( this, axis, function (entries, zeros, positions) {
+            return argSparse( entries, zeros, positions, function (a, b) {
+                return a > b;
+            } );
+        } );
+    };
+
+    /**
+     * Calculate the cumulative sum of the entries.
+     * For axis 'all', the entries are accumulated from left to right, top to bottom.
+     * Unlike the other reductions this works on dense lines, since the result is dense anyway: every implicit zero
+     * after the first non-zero entry of a line becomes a running sum.
+     * @param {string} [axis=MatrixUtils.options.aggregate.axis] See {@link Matrix.prototype.cumsum}
+     * @returns {Matrix} Matrix of the same size with the accumulated entries.
+     */
+    SparseMatrix.prototype.cumsum = function (axis) {
+        return accumulate( this, axis, cumsumArray );
+    };
+
+    /**
+     * Calculate the cumulative product of the entries.
+     * For axis 'all', the entries are accumulated from left to right, top to bottom.
+     * Like {@link SparseMatrix.prototype.cumsum}, this works on dense lines since the result is returned as a dense
+     * matrix.
+     * @param {string} [axis=MatrixUtils.options.aggregate.axis] See {@link Matrix.prototype.cumsum}
+     * @returns {Matrix} Matrix of the same size with the accumulated entries.
+     */
+    SparseMatrix.prototype.cumprod = function (axis) {
+        return accumulate( this, axis, cumprodArray );
+    };
 
-        return true;
+    /**
+     * Compare with another matrix up to a tolerance.
+     * @param {(Matrix|SparseMatrix)} M Matrix
+     * @param {Object} [options] Options for the comparison, see {@link Matrix.prototype.approxEquals}
+     * @returns {(boolean|Object)}
+     */
+    SparseMatrix.prototype.approxEquals = function (M, options) {
+        return compareApproximately( this, M, options );
     };
 
     /**
@@ -2190,6 +5850,255 @@
         return builder.build();
     };
 
+    /**
+     * Returns a random sparse matrix. The positions of the non-zero entries are drawn uniformly without replacement
+     * and their values uniformly from (0, 1].
+     * @param {number} rows Number of rows
+     * @param {number} columns Number of columns
+     * @param {number} density Share of non-zero entries between 0 and 1
+     * @returns {SparseMatrix}
+     * @static
+     */
+    SparseMatrix.random = function (rows, columns, density) {
+        var args = copyArray( arguments ),
+            random = getRandomGenerator( popOptions( args ) );
+
+        if( !isNumber( density ) || density < 0 || density > 1 ) {
+            throw new MatrixError( MatrixError.ErrorCodes.INVALID_PARAMETERS, 'Density must be between 0 and 1' );
+        }
+
+        var size = rows * columns,
+            count = Math.round( density * size ),
+            selected = {},
+            builder = new SparseBuilder().size( rows, columns ),
+            index;
+
+        // Floyd's algorithm draws count distinct indices with count random numbers
+        for( var j = size - count; j < size; j++ ) {
+            index = Math.floor( random() * (j + 1) );
+            selected[(selected.hasOwnProperty( index )) ? j : index] = true;
+        }
+
+        for( index in selected ) {
+            if( selected.hasOwnProperty( index ) ) {
+                builder.set( Math.floor( index / columns ) + 1, (index % columns) + 1, 1 - random() );
+            }
+        }
+
+        return builder.build();
+    };
+
+    /* Vector */
+
+    Vector.prototype = Object.create( Matrix.prototype );
+    Vector.prototype.constructor = Vector;
+
+    /**
+     * Check if this is a column vector.
+     * @returns {boolean} True if column vector, false if row vector.
+     */
+    Vector.prototype.isColumnVector = function () {
+        return !this.isRowVector();
+    };
+
+    /**
+     * Return a copy of the vector. This prevents accidental usage of references.
+     * @override
+     * @returns {Vector}
+     */
+    Vector.prototype.copy = function () {
+        return new Vector( this.toArray(), this.isRowVector(), { dtype: this.dtype() } );
+    };
+
+    /**
+     * Transpose the vector, i.e. turn a row vector into a column vector and vice versa.
+     * @override
+     * @returns {Vector}
+     */
+    Vector.prototype.transpose = function () {
+        return new Vector( this.toArray(), !this.isRowVector(), { dtype: this.dtype() } );
+    };
+
+    /**
+     * Calculate the norm.
+     * @param {string} [which='frobenius'] Which norm to compute. See {@link Matrix.prototype.norm} for possible
+     * values. The default is the Euclidean norm.
+     * @param {(Object|Number)} [args] Additional parameters a norm may need, e.g. the parameter p for p-norms
+     * @override
+     * @returns {number}
+     */
+    Vector.prototype.norm = function (which, args) {
+        which = getStringWithDefault( which, MatrixUtils.options.vectorNorm.which );
+
+        return Matrix.prototype.norm.call( this, which, args );
+    };
+
+    /**
+     * Scale the vector to unit length with respect to the Euclidean norm.
+     * @returns {Vector}
+     */
+    Vector.prototype.normalize = function () {
+        var norm = this.norm( 'frobenius' );
+
+        if( norm === 0 ) {
+            throw new MatrixError( MatrixError.ErrorCodes.INVALID_PARAMETERS, 'Cannot normalize the zero vector' );
+        }
+
+        return new Vector( this.toArray().map( function (value) {
+            return value / norm;
+        } ), this.isRowVector(), { dtype: this.dtype() } );
+    };
+
+    /**
+     * Calculate the angle to another vector.
+     * @param {(Array.<number>|Matrix)} M Vector
+     * @returns {number} Angle in radians, i.e. a number in [0, pi].
+     */
+    Vector.prototype.angleTo = function (M) {
+        var other = new Vector( toArray( M ) ),
+            norms = this.norm( 'frobenius' ) * other.norm( 'frobenius' );
+
+        if( norms === 0 ) {
+            throw new MatrixError( MatrixError.ErrorCodes.INVALID_PARAMETERS, 'Angle to the zero vector is undefined' );
+        }
+
+        // rounding errors can push the cosine slightly out of [-1, 1]
+        return Math.acos( Math.max( -1, Math.min( 1, this.dot( other ) / norms ) ) );
+    };
+
+    /**
+     * Calculate the orthogonal projection onto another vector.
+     * @param {(Array.<number>|Matrix)} M Vector to project onto
+     * @returns {Vector} Projection with the same orientation as this.
+     */
+    Vector.prototype.projectOnto = function (M) {
+        var other = toArray( M ),
+            squaredNorm = dotArray( other, other );
+
+        if( squaredNorm === 0 ) {
+            throw new MatrixError( MatrixError.ErrorCodes.INVALID_PARAMETERS, 'Cannot project onto the zero vector' );
+        }
+
+        var factor = this.dot( other ) / squaredNorm;
+
+        return new Vector( other.map( function (value) {
+            return factor * value;
+        } ), this.isRowVector(), { dtype: this.dtype() } );
+    };
+
+    /**
+     * Calculate the outer product, i.e. the matrix this * M^T where both vectors are considered to be column vectors.
+     * @param {(Array.<number>|Matrix)} M Vector
+     * @returns {Matrix} n-by-m matrix for vectors of length n and m.
+     */
+    Vector.prototype.outer = function (M) {
+        var a = this.toArray(),
+            b = toArray( M ),
+            Result = new Matrix( a.length, b.length, { dtype: this.dtype() } );
+
+        for( var i = 1; i <= a.length; i++ ) {
+            for( var j = 1; j <= b.length; j++ ) {
+                Result.___set( i, j, a[i - 1] * b[j - 1] );
+            }
+        }
+
+        return Result;
+    };
+
+    /* LUDecomposition */
+
+    /**
+     * Check if the factorized matrix is singular.
+     * @returns {boolean} True if U has a zero on its diagonal, false otherwise.
+     */
+    LUDecomposition.prototype.isSingular = function () {
+        if( this.L.rows() !== this.U.columns() ) {
+            throw new MatrixError( MatrixError.ErrorCodes.DIMENSION_MISMATCH, 'Matrix must be square' );
+        }
+
+        return this.U.diag().indexOf( 0 ) !== -1;
+    };
+
+    /**
+     * Calculate the determinant of the factorized matrix.
+     * @returns {number}
+     */
+    LUDecomposition.prototype.det = function () {
+        if( this.isSingular() ) {
+            return 0;
+        }
+
+        var det = this.sign,
+            diag = this.U.diag();
+
+        for( var i = 0; i < diag.length; i++ ) {
+            det *= diag[i];
+        }
+
+        return det;
+    };
+
+    /**
+     * Solve the linear system A * X = B where A is the factorized matrix.
+     * @param {(Array.<number>|Matrix)} B Right-hand side. An array is treated as a column vector, a matrix may
+     * have multiple columns
+     * @returns {Matrix} Matrix X with as many columns as B.
+     */
+    LUDecomposition.prototype.solve = function (B) {
+        if( this.isSingular() ) {
+            throw new MatrixError( MatrixError.ErrorCodes.MATRIX_IS_SINGULAR,
+                'System does not have a unique solution' );
+        }
+
+        if( isArray( B ) ) {
+            B = new Matrix( B, null, 1 );
+        }
+
+        var rows = this.L.rows(),
+            columnsB = B.columns(),
+            X = new Matrix( rows, columnsB, { dtype: this.L.dtype() } ),
+            value, i, j, k;
+
+        if( B.rows() !== rows ) {
+            throw new MatrixError( MatrixError.ErrorCodes.DIMENSION_MISMATCH,
+                'Right-hand side must have as many rows as the matrix' );
+        }
+
+        for( j = 1; j <= columnsB; j++ ) {
+            // forward substitution with L on the permuted right-hand side
+            for( i = 1; i <= rows; i++ ) {
+                value = B.___get( this.permutation[i - 1], j );
+
+                for( k = 1; k < i; k++ ) {
+                    value -= this.L.___get( i, k ) * X.___get( k, j );
+                }
+
+                X.___set( i, j, value );
+            }
+
+            // column-oriented back substitution with U
+            for( i = rows; i >= 1; i-- ) {
+                value = X.___get( i, j );
+
+                for( k = 1; k < i; k++ ) {
+                    X.___set( k, j, X.___get( k, j ) - this.U.___get( k, i ) / this.U.___get( i, i ) * value );
+                }
+
+                X.___set( i, j, value / this.U.___get( i, i ) );
+            }
+        }
+
+        return X;
+    };
+
+    /**
+     * Calculate the inverse of the factorized matrix.
+     * @returns {Matrix}
+     */
+    LUDecomposition.prototype.inverse = function () {
+        return this.solve( Matrix.eye( this.L.rows() ) );
+    };
+
     /* MatrixUtils */
 
     /**
@@ -2197,6 +6106,10 @@
      * @static
      */
     MatrixUtils.options = {
+        matrix: {
+            dtype: 'array'
+        },
+
         stringify: {
             rowSeparator: '\r\n',
             columnSeparator: '\t'
@@ -2210,14 +6123,69 @@
             digits: 0
         },
 
+        multiply: {
+            blockSize: 64
+        },
+
+        reshape: {
+            order: 'row'
+        },
+
+        aggregate: {
+            axis: 'all'
+        },
+
+        randomSPD: {
+            cond: 10
+        },
+
+        statistics: {
+            axis: 'columns',
+            normalization: 'sample'
+        },
+
+        lstsq: {
+            ridge: 0
+        },
+
+        pca: {
+            center: true,
+            scale: false
+        },
+
+        approxEquals: {
+            atol: 1e-12,
+            rtol: 1e-9,
+            ulps: 0,
+            diagnostic: false
+        },
+
+        decomposeQR: {
+            economy: false
+        },
+
+        solve: {
+            method: 'lu'
+        },
+
+        svd: {
+            thin: false
+        },
+
         norm: {
             which: 'max'
         },
 
+        vectorNorm: {
+            which: 'frobenius'
+        },
+
         random: {
             minVal: 0,
             maxVal: 1,
-            onlyInteger: true
+            onlyInteger: true,
+            seed: null,
+            generator: null
         }
     };
 
@@ -2255,6 +6223,53 @@
         return result;
     };
 
+    /**
+     * Create a xorshift128 pseudo-random number generator. It produces the same sequence for the same seed.
+     * @param {number} seed Integer seed, at most 2^53 - 1 in absolute value
+     * @returns {function(): number} Function returning uniformly distributed numbers in [0, 1).
+     * @static
+     */
+    MatrixUtils.xorshift = function (seed) {
+        if( !isNumber( seed ) || Math.floor( seed ) !== seed || Math.abs( seed ) > 9007199254740991 ) {
+            throw new MatrixError( MatrixError.ErrorCodes.INVALID_PARAMETERS, 'Seed must be a safe integer' );
+        }
+
+        // both 32-bit words of the seed go into the state, so distinct seeds give distinct sequences
+        var x = 123456789 ^ (seed >>> 0),
+            y = 362436069 ^ Math.floor( seed / 4294967296 ),
+            z = 521288629,
+            w = 88675123;
+
+        var next = function () {
+            var t = x ^ (x << 11);
+
+            x = y;
+            y = z;
+            z = w;
+            w = (w ^ (w >>> 19)) ^ (t ^ (t >>> 8));
+
+            return (w >>> 0) / 4294967296;
+        };
+
+        // discard the first values since neighbouring seeds start out with similar states
+        for( var i = 0; i < 32; i++ ) {
+            next();
+        }
+
+        return next;
+    };
+
+    /**
+     * Seed the random functions globally, i.e. set {@link MatrixUtils.options.random.seed} and restart the
+     * sequence of random numbers even if the seed didn't change.
+     * @param {?number} seed Integer seed or null to use Math.random again
+     * @static
+     */
+    MatrixUtils.seed = function (seed) {
+        MatrixUtils.options.random.seed = seed;
+        randomStream = null;
+    };
+
     /**
      * Predefined filters that can be used with methods like {@link Matrix.apply}.
      * These functions can take up to three arguments (value, row index, column index).
@@ -2294,77 +6309,254 @@
         }
     };
 
-    /* Primitive */
-
     /**
-     * Convert array to matrix.
-     * This method simply calls the {@link Matrix} constructor.
-     * @param {number} [rows] Number of rows
-     * @param {number} [columns] Number of columns
-     * @returns {Matrix}
+     * Perform a principal component analysis. The rows of X are the observations and the columns the variables.
+     * The principal axes are computed from the singular value decomposition of the centered (and possibly scaled)
+     * data. The sign of each axis is chosen such that its largest entry in magnitude is positive.
+     *    @example
+     *      var model = MatrixUtils.pca( X, { components: 2 } );
+     *      var projected = model.transform( Y );
+     *
+     *      // store the model and apply the same projection later on
+     *      var json = JSON.stringify( model );
+     *      var projected = MatrixUtils.pca.transform( JSON.parse( json ), Y );
+     * @param {Matrix} X Data matrix
+     * @param {Object} [options] Options for the analysis:
+     *  - components: Number of principal components to keep, defaults to all, i.e. min(m, n).
+     *  - center: If true, the columns are centered, defaults to {@link MatrixUtils.options.pca.center}.
+     *  - scale: If true, the columns are scaled to unit standard deviation, defaults to
+     *    {@link MatrixUtils.options.pca.scale}.
+     * @returns {{loadings: Matrix, scores: Matrix, explainedVariance: Array.<number>,
+     *  explainedVarianceRatio: Array.<number>, mean: Vector, scale: Vector, transform: function(Matrix): Matrix}}
+     *  Model with the principal axes as columns of the loadings, the projected data as scores, the variance and the
+     *  share of the total variance explained by each component as well as the mean and scale used to prepare the data.
+     *  Use transform to project new rows with the same model. The model is serialized to JSON with plain arrays,
+     *  which can be passed to {@link MatrixUtils.pca.transform}.
+     * @static
      */
-    Array.prototype.toMatrix = function (rows, columns) {
-        // TODO: add flag to specify matrix type
+    MatrixUtils.pca = function (X, options) {
+        options = options || {};
+
+        var rows = X.rows(),
+            columns = X.columns(),
+            center = getBooleanWithDefault( options.center, MatrixUtils.options.pca.center ),
+            scale = getBooleanWithDefault( options.scale, MatrixUtils.options.pca.scale ),
+            components = getNumberWithDefault( options.components, Math.min( rows, columns ) );
+
+        if( rows < 2 ) {
+            throw new MatrixError( MatrixError.ErrorCodes.INVALID_PARAMETERS, 'At least two observations are required' );
+        }
+
+        if( !isInteger( components ) || components < 1 || components > Math.min( rows, columns ) ) {
+            throw new MatrixError( MatrixError.ErrorCodes.INVALID_PARAMETERS,
+                'Number of components must be between 1 and ' + Math.min( rows, columns ) );
+        }
+
+        var mean = (center) ? X.mean( 'columns' ) : new Vector( columns, true ),
+            deviation = (scale) ? X.std( 'columns' ).fun( function (value) {
+                return (value === 0) ? 1 : value;
+            } ) : new Vector( MatrixUtils.repeat( columns, 1 ), true );
+
+        var decomposition = X.subtract( mean ).pw_divide( deviation ).svd( true ),
+            Loadings = new Matrix( columns, components ),
+            explainedVariance = [],
+            explainedVarianceRatio = [],
+            totalVariance = 0,
+            axis, maxIndex, sign, i, j;
+
+        for( i = 0; i < decomposition.S.length; i++ ) {
+            totalVariance += decomposition.S[i] * decomposition.S[i] / (rows - 1);
+        }
+
+        for( j = 1; j <= components; j++ ) {
+            axis = decomposition.V.__getColumn( j );
+
+            maxIndex = 0;
+            for( i = 1; i < axis.length; i++ ) {
+                if( Math.abs( axis[i] ) > Math.abs( axis[maxIndex] ) ) {
+                    maxIndex = i;
+                }
+            }
+
+            sign = (axis[maxIndex] < 0) ? -1 : 1;
+            for( i = 0; i < axis.length; i++ ) {
+                axis[i] *= sign;
+            }
+
+            Loadings.__setColumn( j, axis );
+            explainedVariance.push( decomposition.S[j - 1] * decomposition.S[j - 1] / (rows - 1) );
+            explainedVarianceRatio.push( (totalVariance === 0) ? 0 : explainedVariance[j - 1] / totalVariance );
+        }
+
+        var transform = function (Y) {
+            return MatrixUtils.pca.transform( { loadings: Loadings, mean: mean, scale: deviation }, Y );
+        };
 
-        return new Matrix( this, rows, columns );
+        return {
+            /** @expose */ loadings: Loadings,
+            /** @expose */ scores: transform( X ),
+            /** @expose */ explainedVariance: explainedVariance,
+            /** @expose */ explainedVarianceRatio: explainedVarianceRatio,
+            /** @expose */ mean: mean,
+            /** @expose */ scale: deviation,
+            /** @expose */ transform: transform,
+            /** @expose */ toJSON: function () {
+                return {
+                    /** @expose */ loadings: Loadings.toArray(),
+                    /** @expose */ mean: mean.toArray(),
+                    /** @expose */ scale: deviation.toArray(),
+                    /** @expose */ explainedVariance: explainedVariance,
+                    /** @expose */ explainedVarianceRatio: explainedVarianceRatio
+                };
+            }
+        };
     };
 
     /**
-     * Convert array to vector.
-     * @param {boolean} [isRowVector=false] If set to true, the vector will be a row vector, otherwise it will be a
-     * column vector
-     * @returns {Matrix}
+     * Project data with a stored principal component model, e.g. one restored from the JSON representation of a
+     * model returned by {@link MatrixUtils.pca}.
+     * @param {{loadings: (Matrix|Array.<number>), mean: (Vector|Array.<number>), scale: (Vector|Array.<number>)}}
+     *  model Model with the principal axes as columns of the loadings, given either as a matrix or as an array of
+     *  its entries read from left to right, top to bottom, and the mean and scale of each variable
+     * @param {Matrix} Y Data matrix with the observations as rows
+     * @returns {Matrix} Projected data with one column per component.
+     * @static
      */
-    Array.prototype.toVector = function (isRowVector) {
-        // TODO: Return vector instance instead of Matrix
+    MatrixUtils.pca.transform = function (model, Y) {
+        var mean = new Vector( toArray( model.mean ), true ),
+            deviation = new Vector( toArray( model.scale ), true ),
+            columns = mean.columns(),
+            Loadings = (model.loadings instanceof Matrix) ? model.loadings : new Matrix( model.loadings, columns );
+
+        // there can't be more principal components than variables
+        if( deviation.columns() !== columns || Loadings.rows() !== columns || Loadings.columns() > columns ) {
+            throw new MatrixError( MatrixError.ErrorCodes.DIMENSION_MISMATCH,
+                'Loadings, mean and scale must have one row or entry per variable' );
+        }
 
-        isRowVector = getBooleanWithDefault( isRowVector, false );
+        if( Y.columns() !== columns ) {
+            throw new MatrixError( MatrixError.ErrorCodes.DIMENSION_MISMATCH, 'Data must have ' + columns + ' columns' );
+        }
 
-        // TODO use vectors
-        return new Matrix( this, (isRowVector) ? 1 : this.length, (isRowVector) ? this.length : 1 );
+        return Y.subtract( mean ).pw_divide( deviation ).multiply( Loadings );
     };
 
     /**
-     * Convert string to matrix.
-     * @param {string} [rowSeparator='\r\n'] Row separator
-     * @param {string} [columnSeparator='\t'] Column separator
-     * @returns {Matrix}
+     * Fit a polynomial p(x) = c_1 * x^degree + ... + c_degree * x + c_(degree+1) to data in the least-squares sense.
+     * @param {(Array.<number>|Matrix)} x Sample points
+     * @param {(Array.<number>|Matrix)} y Values at the sample points
+     * @param {number} degree Degree of the polynomial
+     * @param {Object} [options] Options passed on to {@link Matrix.lstsq}, e.g. ridge or weights
+     * @returns {{coefficients: Array.<number>, residuals: Array.<number>, rSquared: number}} Object with the
+     * coefficients starting with the highest power, the residuals y - p(x) and the coefficient of determination.
+     * @static
      */
-    String.prototype.toMatrix = function (rowSeparator, columnSeparator) {
-        // TODO: add flag to define matrix type and adjust documentation accordingly
+    MatrixUtils.polyfit = function (x, y, degree, options) {
+        x = toArray( x );
 
-        rowSeparator = getStringWithDefault( rowSeparator, '\r\n' );
-        columnSeparator = getStringWithDefault( columnSeparator, '\t' );
-
-        var rows = this.split( rowSeparator ),
-            columns,
-            numColumns = 0,
-            Result = new Matrix( 0 );
+        if( !isInteger( degree ) || degree < 0 ) {
+            throw new MatrixError( MatrixError.ErrorCodes.INVALID_PARAMETERS, 'Degree must be a non-negative integer' );
+        }
 
-        for( var i = 0; i < rows.length; i++ ) {
-            columns = rows[i].split( columnSeparator );
-            if( numColumns === 0 ) {
-                numColumns = columns.length;
-                Result = new Matrix( rows.length, numColumns );
+        // Vandermonde matrix with the highest power in the first column
+        var A = new Matrix( x.length, degree + 1 );
+        for( var i = 1; i <= x.length; i++ ) {
+            for( var j = 1; j <= degree + 1; j++ ) {
+                A.___set( i, j, Math.pow( x[i - 1], degree + 1 - j ) );
             }
+        }
 
-            if( columns.length !== numColumns ) {
-                throw new MatrixError( MatrixError.ErrorCodes.INVALID_PARAMETERS, 'Number of columns is inconsistent' );
-            }
+        var fit = Matrix.lstsq( A, y, options );
 
-            for( var j = 1; j <= numColumns; j++ ) {
-                Result.___set( i + 1, j, Number( columns[j - 1] ) );
+        return {
+            /** @expose */ coefficients: fit.coefficients.toArray(),
+            /** @expose */ residuals: fit.residuals.toArray(),
+            /** @expose */ rSquared: fit.rSquared
+        };
+    };
+
+    /**
+     * Evaluate a polynomial using Horner's scheme.
+     * @param {(Array.<number>|Matrix)} coefficients Coefficients starting with the highest power, e.g. as returned
+     * by {@link MatrixUtils.polyfit}
+     * @param {(number|Array.<number>|Matrix|Vector)} x Point(s) at which to evaluate the polynomial
+     * @returns {(number|Array.<number>|Matrix|Vector)} Value(s) of the polynomial, of the same type as x.
+     * @static
+     */
+    MatrixUtils.polyval = function (coefficients, x) {
+        coefficients = toArray( coefficients );
+
+        var evaluate = function (value) {
+            var result = 0;
+            for( var i = 0; i < coefficients.length; i++ ) {
+                result = result * value + coefficients[i];
             }
+
+            return result;
+        };
+
+        if( isNumber( x ) ) {
+            return evaluate( x );
         }
 
-        return Result;
+        if( isArray( x ) ) {
+            return x.map( evaluate );
+        }
+
+        var result = x.fun( evaluate );
+
+        return (x instanceof Vector) ? new Vector( result ) : result;
+    };
+
+    /**
+     * Install the convenience methods Array.prototype.toMatrix, Array.prototype.toVector and
+     * String.prototype.toMatrix. These are not installed by default in order to leave the built-in prototypes
+     * untouched. The methods are added as non-enumerable properties, so they don't show up in for...in loops.
+     * @static
+     */
+    MatrixUtils.installPrototypeExtensions = function () {
+        /**
+         * Convert array to matrix.
+         * @see Matrix.fromArray
+         * @param {number} [rows] Number of rows
+         * @param {number} [columns] Number of columns
+         * @returns {Matrix}
+         */
+        defineHiddenMethod( Array.prototype, 'toMatrix', function (rows, columns) {
+            return Matrix.fromArray( this, rows, columns );
+        } );
+
+        /**
+         * Convert array to vector.
+         * @param {boolean} [isRowVector=false] If set to true, the vector will be a row vector, otherwise it will
+         * be a column vector
+         * @returns {Vector}
+         */
+        defineHiddenMethod( Array.prototype, 'toVector', function (isRowVector) {
+            isRowVector = getBooleanWithDefault( isRowVector, false );
+
+            return new Vector( this, isRowVector );
+        } );
+
+        /**
+         * Convert string to matrix.
+         * @see Matrix.fromString
+         * @param {string} [rowSeparator=MatrixUtils.options.stringify.rowSeparator] Row separator
+         * @param {string} [columnSeparator=MatrixUtils.options.stringify.columnSeparator] Column separator
+         * @returns {Matrix}
+         */
+        defineHiddenMethod( String.prototype, 'toMatrix', function (rowSeparator, columnSeparator) {
+            return Matrix.fromString( this, rowSeparator, columnSeparator );
+        } );
     };
 
     /* Export */
 
-    window.Matrix = Matrix;
-    window.SparseMatrix = SparseMatrix;
-    window.Vector = Vector;
-    window.MatrixUtils = MatrixUtils;
-    window.SparseBuilder = SparseBuilder;
-})( window );
\ No newline at end of file
+    return {
+        /** @expose */ Matrix: Matrix,
+        /** @expose */ SparseMatrix: SparseMatrix,
+        /** @expose */ Vector: Vector,
+        /** @expose */ MatrixUtils: MatrixUtils,
+        /** @expose */ SparseBuilder: SparseBuilder
+    };
+} );
\ No newline at end of file
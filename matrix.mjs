@@ -0,0 +1,17 @@
+/**
+ * ES module entry point for matrix.js.
+ * The library itself is written as an UMD module, this file only re-exports it for ES import.
+ *    @example
+ *      import { Matrix, Vector } from 'matrixjs';
+ *      import matrixjs from 'matrixjs';
+ */
+
+import matrixjs from './matrix.js';
+
+export var Matrix = matrixjs.Matrix;
+export var SparseMatrix = matrixjs.SparseMatrix;
+export var Vector = matrixjs.Vector;
+export var MatrixUtils = matrixjs.MatrixUtils;
+export var SparseBuilder = matrixjs.SparseBuilder;
+
+export default matrixjs;
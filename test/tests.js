@@ -48,6 +48,18 @@ function assertException (func) {
     }
 }
 
+function withPrototypeExtensions (func) {
+    MatrixUtils.installPrototypeExtensions();
+
+    try {
+        func();
+    } finally {
+        delete Array.prototype.toMatrix;
+        delete Array.prototype.toVector;
+        delete String.prototype.toMatrix;
+    }
+}
+
 // ##########
 
 function Test (func, name, ignore) {
@@ -146,6 +158,102 @@ new Test( function () {
     ] ) );
 }, 'Matrix: Create 6' );
 
+new Test( function () {
+    var A = new Matrix( 2, 3, { dtype: 'float64' } ),
+        B = new Matrix( [1, 2, 3, 4], { dtype: 'float32' } ),
+        buffer = new Float64Array( [1, 2, 3, 4, 5, 6] ),
+        C = new Matrix( buffer, 2, 3 );
+
+    assertDimension( A, 2, 3 );
+    assertEquals( A.dtype(), 'float64' );
+    assertEquals( A.getBuffer() instanceof Float64Array, true );
+    assertEquals( B.dtype(), 'float32' );
+    assertEquals( B.getBuffer() instanceof Float32Array, true );
+    assertEquals( new Matrix( 2 ).dtype(), 'array' );
+    assertEquals( new Matrix( [[1, 2], [3, 4]], { dtype: 'float64' } ).dtype(), 'float64' );
+
+    // typed arrays are used without copying
+    assertEquals( C.dtype(), 'float64' );
+    assertEquals( C.getBuffer(), buffer );
+    C.set( 1, 1, 7 );
+    assertEquals( buffer[0], 7 );
+    assertArray( C.toArray(), [7, 2, 3, 4, 5, 6] );
+
+    assertException( function () {
+        new Matrix( 2, 2, { dtype: 'int8' } );
+    } );
+}, 'Matrix: Create Typed' );
+
+new Test( function () {
+    var A = new Matrix( [1, 2, 3, 4], { dtype: 'float64' } ),
+        B = new Matrix( [1, 2, 3, 4] );
+
+    assertMatrix( A, B );
+    assertMatrix( A.add( A ), B.add( B ) );
+    assertMatrix( A.multiply( A ), B.multiply( B ) );
+    assertMatrix( A.transpose(), B.transpose() );
+    assertMatrix( A.inverse(), B.inverse() );
+    assertEquals( A.det(), B.det() );
+    assertMatrix( A.solve( [1, 1] ), B.solve( [1, 1] ) );
+
+    assertEquals( A.add( A ).dtype(), 'float64' );
+    assertEquals( A.multiply( A ).dtype(), 'float64' );
+    assertEquals( A.scale( 2 ).dtype(), 'float64' );
+    assertEquals( A.copy().dtype(), 'float64' );
+    assertEquals( A.copy().getBuffer() !== A.getBuffer(), true );
+}, 'Matrix: Typed Operations' );
+
+new Test( function () {
+    var A = new Matrix( [4, 1, 2, 1, 5, 1, 2, 1, 6], 3, 3, { dtype: 'float32' } ),
+        B = new Matrix( [4, 1, 2, 1, 5, 1, 2, 1, 6], 3, 3 ),
+        v = new Vector( [1, 2, 3], false, { dtype: 'float32' } );
+
+    var derived = [
+        function (M) {
+            return M.submatrix( 1, 2, 2, 3 );
+        },
+        function (M) {
+            return M.augment( M );
+        },
+        function (M) {
+            return Matrix.vstack( M, M );
+        },
+        function (M) {
+            return M.repmat( 2, 1 );
+        },
+        function (M) {
+            return M.addRow( [1, 2, 3] ).addColumn( [1, 2, 3, 4] );
+        },
+        function (M) {
+            return M.sum( 'columns' );
+        },
+        function (M) {
+            return M.cumsum( 'rows' );
+        },
+        function (M) {
+            return M.multiply( new Vector( [1, 2, 3] ) );
+        }
+    ];
+
+    for( var i = 0; i < derived.length; i++ ) {
+        assertEquals( derived[i]( A ).dtype(), 'float32' );
+        assertEquals( derived[i]( A ).getBuffer() instanceof Float32Array, true );
+        assertMatrix( derived[i]( A ), derived[i]( B ) );
+        assertEquals( derived[i]( B ).dtype(), 'array' );
+    }
+
+    assertEquals( A.inverse().dtype(), 'float32' );
+    assertEquals( A.inverse().approxEquals( B.inverse(), { atol: 1e-6 } ), true );
+    assertEquals( A.solve( [1, 1, 1] ).dtype(), 'float32' );
+    assertEquals( A.decomposeLU().U.dtype(), 'float32' );
+    assertEquals( A.decomposeCholesky().dtype(), 'float32' );
+
+    assertEquals( v.dtype(), 'float32' );
+    assertEquals( v.getBuffer() instanceof Float32Array, true );
+    assertEquals( v.transpose().dtype(), 'float32' );
+    assertEquals( new Vector( A.submatrix( 1, 3, 1, 1 ) ).dtype(), 'float32' );
+}, 'Matrix: Typed Derived Results' );
+
 new Test( function () {
     assertEquals( Matrix.zeros( 3 ).get( 2, 3 ), 0 );
     assertEquals( Matrix.eye( 3 ).get( 2, 2 ), 1 );
@@ -254,6 +362,36 @@ new Test( function () {
     assertMatrix( B.scale( 2 ).subtract( B, B ), Matrix.zeros( 3 ) );
 }, 'Matrix: Subtract' );
 
+new Test( function () {
+    var A = Matrix.ones( 3 ),
+        B = Matrix.eye( 3 );
+
+    assertEquals( A.addInPlace( B ), A );
+    assertMatrix( A, new Matrix( [2, 1, 1, 1, 2, 1, 1, 1, 2] ) );
+    assertMatrix( B, Matrix.eye( 3 ) );
+
+    assertEquals( A.subtractInPlace( B ).subtractInPlace( B ), A );
+    assertMatrix( A, new Matrix( [0, 1, 1, 1, 0, 1, 1, 1, 0] ) );
+
+    A.addInPlace( new SparseBuilder().size( 3, 3 ).set( 1, 1, 1 ).set( 2, 2, 1 ).set( 3, 3, 1 ).build() );
+    assertMatrix( A, Matrix.ones( 3 ) );
+
+    assertEquals( A.scaleInPlace( 3 ), A );
+    assertMatrix( A, Matrix.ones( 3 ).scale( 3 ) );
+
+    assertEquals( A.funInPlace( function (value, row, column) {
+        return value + row * column;
+    }, MatrixUtils.filters.diag ), A );
+    assertMatrix( A, new Matrix( [4, 3, 3, 3, 7, 3, 3, 3, 12] ) );
+
+    try {
+        A.addInPlace( Matrix.ones( 2 ) );
+        fail( 'Expected exception' );
+    } catch( e ) {
+        assertEquals( e.code, 'Dimension mismatch' );
+    }
+}, 'Matrix: In Place Operations' );
+
 new Test( function () {
     assertMatrix( Matrix.zeros( 3 ).multiply( Matrix.zeros( 3 ) ), Matrix.zeros( 3 ) );
     assertMatrix( Matrix.zeros( 3 ).multiply( Matrix.eye( 3 ) ), Matrix.zeros( 3 ) );
@@ -275,6 +413,192 @@ new Test( function () {
     assertMatrix( A.multiply( B ), new Matrix( [22, 28, 49, 64], 2, 2 ) );
 }, 'Matrix: Multiply 3' );
 
+new Test( function () {
+    var naiveMultiply = function (A, B) {
+        var Result = new Matrix( A.rows(), B.columns() );
+
+        for( var i = 1; i <= A.rows(); i++ ) {
+            for( var j = 1; j <= B.columns(); j++ ) {
+                var temp = 0,
+                    rowA = A.__getRow( i ),
+                    columnB = B.__getColumn( j );
+
+                for( var k = 0; k < A.columns(); k++ ) {
+                    temp += rowA[k] * columnB[k];
+                }
+
+                Result.set( i, j, temp );
+            }
+        }
+
+        return Result;
+    };
+
+    // dimensions are chosen so that none of them is a multiple of the block size
+    var A = Matrix.random( 130, 150, 0, 1, false ),
+        B = Matrix.random( 150, 70, 0, 1, false );
+
+    assertMatrix( A.multiply( B ), naiveMultiply( A, B ) );
+
+    // the small entries only add up to something visible in float32 if the sum is kept in double precision
+    var blockSize = MatrixUtils.options.multiply.blockSize,
+        small = 3 * Math.pow( 2, -26 ),
+        C = new Matrix( [1, small, small, small, small, small], 1, 6, { dtype: 'float32' } ),
+        D = new Matrix( [1, 1, 1, 1, 1, 1], 6, 1, { dtype: 'float32' } );
+
+    try {
+        MatrixUtils.options.multiply.blockSize = 1;
+        assertEquals( C.multiply( D ).get( 1, 1 ), Math.fround( 1 + 5 * small ) );
+    } finally {
+        MatrixUtils.options.multiply.blockSize = blockSize;
+    }
+
+    // the blocked multiply has to beat the previous implementation, which copied a row and a column per entry
+    var time = function (callback) {
+        var start = Date.now();
+        callback();
+        return Date.now() - start;
+    };
+
+    var E = Matrix.random( 500, 500, 0, 1, false ),
+        F = Matrix.random( 500, 500, 0, 1, false ),
+        Expected, Actual;
+
+    var naiveTime = time( function () {
+            Expected = naiveMultiply( E, F );
+        } ),
+        blockedTime = time( function () {
+            Actual = E.multiply( F );
+        } );
+
+    assertMatrix( Actual, Expected );
+    if( 1.5 * blockedTime >= naiveTime ) {
+        fail( 'Expected a speed-up, but blocked multiply took ' + blockedTime + 'ms and naive multiply ' + naiveTime + 'ms' );
+    }
+}, 'Matrix: Multiply Benchmark' );
+
+new Test( function () {
+    var A = Matrix.random( 4, 3, 0, 10, true, { seed: 42 } );
+
+    assertDimension( A, 4, 3 );
+    assertMatrix( Matrix.random( 4, 3, 0, 10, true, { seed: 42 } ), A );
+    assertEquals( Matrix.random( 4, 3, 0, 10, true, { seed: 43 } ).equals( A ), false );
+    assertMatrix( Matrix.random( 4, { seed: 1 } ), Matrix.random( 4, 4, 0, 1, true, { seed: 1 } ) );
+
+    var constant = function () {
+        return 0.5;
+    };
+    assertMatrix( Matrix.random( 2, 2, 0, 4, true, { generator: constant } ), Matrix.ones( 2 ).scale( 2 ) );
+
+    try {
+        MatrixUtils.seed( 7 );
+        var B = Matrix.random( 3 ),
+            C = Matrix.random( 3 );
+
+        MatrixUtils.seed( 7 );
+        assertMatrix( Matrix.random( 3 ), B );
+        assertMatrix( Matrix.random( 3 ), C );
+
+        MatrixUtils.seed( '7' );
+        assertException( function () {
+            Matrix.random( 3 );
+        } );
+    } finally {
+        MatrixUtils.seed( null );
+    }
+
+    assertException( function () {
+        Matrix.random( 2, { seed: '42' } );
+    } );
+
+    var first = function (seed) {
+        return MatrixUtils.xorshift( seed )();
+    };
+    assertEquals( first( 1 ), first( 1 ) );
+    assertEquals( first( 1 ) === first( Math.pow( 2, 32 ) + 1 ), false );
+    assertEquals( first( -1 ) === first( Math.pow( 2, 32 ) - 1 ), false );
+    assertException( function () {
+        MatrixUtils.xorshift( 1.7 );
+    } );
+    assertException( function () {
+        MatrixUtils.xorshift( Math.pow( 2, 53 ) );
+    } );
+    assertException( function () {
+        Matrix.random( 2, { seed: NaN } );
+    } );
+}, 'Matrix: Seeded Random' );
+
+new Test( function () {
+    var U = Matrix.uniform( 50, 20, -2, 3, { seed: 1 } );
+
+    assertDimension( U, 50, 20 );
+    assertEquals( U.min() >= -2 && U.max() < 3, true );
+    assertEquals( U.get( 1, 1 ) % 1 !== 0, true );
+
+    var N = Matrix.randn( 101, 100, 5, 2, { seed: 1 } );
+    assertEquals( Math.abs( N.mean() - 5 ) < 0.05, true );
+    assertEquals( Math.abs( N.std( 'all' ) - 2 ) < 0.05, true );
+    assertMatrix( Matrix.randn( 3, { seed: 3 } ), Matrix.randn( 3, 3, 0, 1, { seed: 3 } ) );
+}, 'Matrix: Uniform / Normal Random' );
+
+new Test( function () {
+    var Q = Matrix.randomOrthogonal( 5, { seed: 11 } );
+
+    assertEquals( Q.transpose().multiply( Q ).approxEquals( Matrix.eye( 5 ), { atol: 1e-12 } ), true );
+    assertMatrix( Matrix.randomOrthogonal( 5, { seed: 11 } ), Q );
+
+    var A = Matrix.randomSPD( 6, 100, { seed: 11 } );
+    assertEquals( A.isSymmetric(), true );
+    assertEquals( Math.abs( A.cond() - 100 ) < 1e-8, true );
+    assertDimension( A.decomposeCholesky(), 6, 6 );
+    assertEquals( Math.abs( Matrix.randomSPD( 4, { seed: 1 } ).cond() - 10 ) < 1e-10, true );
+
+    assertException( function () {
+        Matrix.randomSPD( 3, 0.5 );
+    } );
+}, 'Matrix: Random Orthogonal / SPD' );
+
+new Test( function () {
+    var S = Matrix.randomSymmetric( 4, -1, 1, { seed: 2 } );
+    assertEquals( S.isSymmetric(), true );
+    assertEquals( S.min() >= -1 && S.max() < 1, true );
+
+    var U = Matrix.randomTriangular( 4, { seed: 2 } ),
+        L = Matrix.randomTriangular( 4, 'lower', 1, 2, { seed: 2 } ),
+        B = Matrix.randomBanded( 5, 1, 2, { seed: 2 } );
+
+    for( var i = 1; i <= 4; i++ ) {
+        for( var j = 1; j <= 4; j++ ) {
+            assertEquals( U.get( i, j ) === 0, i > j );
+            assertEquals( L.get( i, j ) === 0, i < j );
+        }
+    }
+
+    for( i = 1; i <= 5; i++ ) {
+        for( j = 1; j <= 5; j++ ) {
+            assertEquals( B.get( i, j ) === 0, j - i < -1 || j - i > 2 );
+        }
+    }
+
+    assertMatrix( Matrix.randomBanded( 5, 1, 2, { seed: 2 } ), B );
+
+    // the mode can be omitted in front of the bounds
+    var T = Matrix.randomTriangular( 3, 1, 2, { seed: 2 } );
+    assertMatrix( T, Matrix.randomTriangular( 3, 'upper', 1, 2, { seed: 2 } ) );
+    assertEquals( T.get( 1, 1 ) >= 1 && T.get( 1, 1 ) < 2, true );
+    assertMatrix( Matrix.randomTriangular( 3, undefined, 1, 2, { seed: 2 } ), T );
+
+    assertException( function () {
+        Matrix.randomSymmetric( 3, 2, 1 );
+    } );
+    assertException( function () {
+        Matrix.randomBanded( 3, 1, 1, 2, 1 );
+    } );
+    assertException( function () {
+        Matrix.randomTriangular( 3, 'lower', 2, 1 );
+    } );
+}, 'Matrix: Random Symmetric / Triangular / Banded' );
+
 new Test( function () {
     assertEquals( Matrix.zeros( 3 ).trace(), 0 );
     assertEquals( Matrix.eye( 5 ).trace(), 5 );
@@ -283,6 +607,95 @@ new Test( function () {
     assertEquals( M.trace(), 10 );
 }, 'Matrix: Trace' );
 
+new Test( function () {
+    var M = new Matrix( [1, 2, 3, 4, 5, 6], 2, 3 );
+
+    assertEquals( M.sum(), 21 );
+    assertEquals( M.prod( 'all' ), 720 );
+    assertEquals( M.mean(), 3.5 );
+    assertMatrix( M.sum( 'columns' ), new Vector( [5, 7, 9], true ) );
+    assertMatrix( M.sum( 'rows' ), new Vector( [6, 15] ) );
+    assertMatrix( M.prod( 'rows' ), new Vector( [6, 120] ) );
+    assertMatrix( M.mean( 'columns' ), new Vector( [2.5, 3.5, 4.5], true ) );
+
+    assertException( function () {
+        M.sum( 'diagonal' );
+    } );
+}, 'Matrix: Sum / Prod / Mean' );
+
+new Test( function () {
+    var M = new Matrix( [3, -1, 4, 1, 5, -9], 2, 3 );
+
+    assertEquals( M.min(), -9 );
+    assertEquals( M.max(), 5 );
+    assertEquals( M.argmin(), 6 );
+    assertEquals( M.argmax(), 5 );
+    assertMatrix( M.min( 'columns' ), new Vector( [1, -1, -9], true ) );
+    assertMatrix( M.max( 'rows' ), new Vector( [4, 5] ) );
+    assertMatrix( M.argmin( 'rows' ), new Vector( [2, 3] ) );
+    assertMatrix( M.argmax( 'columns' ), new Vector( [1, 2, 1], true ) );
+    assertEquals( new Vector( [2, 7, 7] ).argmax(), 2 );
+}, 'Matrix: Min / Max' );
+
+new Test( function () {
+    var M = new Matrix( [1, 2, 3, 4, 5, 6], 2, 3 );
+
+    assertMatrix( M.cumsum(), new Matrix( [1, 3, 6, 10, 15, 21], 2, 3 ) );
+    assertMatrix( M.cumsum( 'rows' ), new Matrix( [1, 3, 6, 4, 9, 15], 2, 3 ) );
+    assertMatrix( M.cumsum( 'columns' ), new Matrix( [1, 2, 3, 5, 7, 9], 2, 3 ) );
+    assertMatrix( M.cumprod( 'rows' ), new Matrix( [1, 2, 6, 4, 20, 120], 2, 3 ) );
+    assertMatrix( new Vector( [1, 2, 3], true ).cumsum(), new Vector( [1, 3, 6], true ) );
+}, 'Matrix: Cumulative Sum / Prod' );
+
+new Test( function () {
+    var X = new Matrix( [1, 2, 3, 6, 5, 10], 3, 2 );
+
+    assertMatrix( X['var'](), new Vector( [4, 16], true ) );
+    assertMatrix( X['var']( 'columns', 'population' ), new Vector( [8 / 3, 32 / 3], true ) );
+    assertMatrix( X.std(), new Vector( [2, 4], true ) );
+    assertMatrix( X.std( 'rows' ), new Vector( [Math.SQRT1_2, Math.sqrt( 4.5 ), Math.sqrt( 12.5 )] ) );
+    assertEquals( X['var']( 'all' ), 10.7 );
+
+    assertException( function () {
+        X['var']( 'columns', 'biased' );
+    } );
+}, 'Matrix: Variance / Standard Deviation' );
+
+new Test( function () {
+    var X = new Matrix( [4, 1, 1, 3, 3, 2, 2, 4], 4, 2 );
+
+    assertMatrix( X.median(), new Vector( [2.5, 2.5], true ) );
+    assertMatrix( X.median( 'rows' ), new Vector( [2.5, 2, 2.5, 3] ) );
+    assertEquals( X.percentile( 0, 'all' ), 1 );
+    assertEquals( X.percentile( 100, 'all' ), 4 );
+    assertEquals( X.percentile( 25, 'all' ), 1.75 );
+
+    assertException( function () {
+        X.percentile( 101 );
+    } );
+    assertException( function () {
+        X.percentile( NaN );
+    } );
+}, 'Matrix: Median / Percentile' );
+
+new Test( function () {
+    var X = new Matrix( [1, 2, 3, 2, 4, 1, 3, 6, 2], 3, 3 );
+
+    assertMatrix( X.cov(), new Matrix( [1, 2, -0.5, 2, 4, -1, -0.5, -1, 1] ) );
+    assertMatrix( X.cov( 'population' ), X.cov().scale( 2 / 3 ) );
+    assertEquals( X.corrcoef().approxEquals( new Matrix( [1, 1, -0.5, 1, 1, -0.5, -0.5, -0.5, 1] ) ), true );
+
+    var Z = X.standardize();
+    assertEquals( Z.mean( 'columns' ).approxEquals( new Vector( [0, 0, 0], true ) ), true );
+    assertEquals( Z.std().approxEquals( new Vector( [1, 1, 1], true ) ), true );
+    assertMatrix( Matrix.ones( 3, 1 ).standardize(), Matrix.zeros( 3, 1 ) );
+    assertMatrix( new Matrix( [1, 2, 3], 1, 3 ).standardize(), Matrix.zeros( 1, 3 ) );
+
+    var R = new Matrix( [1, 5, 2, 5, 3, 5], 3, 2 ).corrcoef();
+    assertEquals( R.get( 1, 1 ), 1 );
+    assertEquals( isNaN( R.get( 1, 2 ) ) && isNaN( R.get( 2, 2 ) ), true );
+}, 'Matrix: Covariance / Correlation / Standardize' );
+
 new Test( function () {
     assertMatrix( Matrix.zeros( 3 ).transpose(), Matrix.zeros( 3 ) );
     assertMatrix( Matrix.eye( 3 ).transpose(), Matrix.eye( 3 ) );
@@ -311,6 +724,289 @@ new Test( function () {
     } );
 }, 'Matrix: Inverse' );
 
+new Test( function () {
+    var A = new Matrix( [1, 2, 3, 3, 2, 1, 2, 1, 3], 3, 3 ),
+        LU = A.decomposeLU();
+
+    assertMatrix( LU.P.multiply( A ), LU.L.multiply( LU.U ) );
+    assertArray( LU.permutation, [2, 1, 3] );
+    assertEquals( LU.sign, -1 );
+    assertArray( LU.L.diag(), [1, 1, 1] );
+    assertArray( [LU.L.get( 1, 2 ), LU.L.get( 1, 3 ), LU.L.get( 2, 3 )], [0, 0, 0] );
+    assertArray( [LU.U.get( 2, 1 ), LU.U.get( 3, 1 ), LU.U.get( 3, 2 )], [0, 0, 0] );
+
+    assertEquals( Math.round( LU.det() ), -12 );
+    assertMatrix( LU.inverse().multiply( A ).roundTo( 10 ), Matrix.eye( 3 ) );
+    assertMatrix( LU.solve( [6, 6, 6] ).roundTo( 10 ), new Matrix( [1, 1, 1], 3, 1 ) );
+}, 'Matrix: LU Decomposition 1' );
+
+new Test( function () {
+    var Tall = new Matrix( [1, 2, 3, 4, 5, 6, 7, 8], 4, 2 ),
+        Wide = Tall.transpose(),
+        LU;
+
+    LU = Tall.decomposeLU();
+    assertDimension( LU.L, 4, 2 );
+    assertDimension( LU.U, 2, 2 );
+    assertDimension( LU.P, 4, 4 );
+    assertMatrix( LU.P.multiply( Tall ).roundTo( 10 ), LU.L.multiply( LU.U ).roundTo( 10 ) );
+
+    LU = Wide.decomposeLU();
+    assertDimension( LU.L, 2, 2 );
+    assertDimension( LU.U, 2, 4 );
+    assertMatrix( LU.P.multiply( Wide ).roundTo( 10 ), LU.L.multiply( LU.U ).roundTo( 10 ) );
+
+    LU = Matrix.ones( 3 ).decomposeLU();
+    assertMatrix( LU.P.multiply( Matrix.ones( 3 ) ), LU.L.multiply( LU.U ) );
+    assertEquals( LU.det(), 0 );
+    assertException( function () {
+        LU.solve( [1, 2, 3] );
+    } );
+    assertException( function () {
+        Tall.decomposeLU().det();
+    } );
+}, 'Matrix: LU Decomposition 2' );
+
+new Test( function () {
+    var A = new Matrix( [2, 1, 1, 1, 3, 2, 1, 0, 0], 3, 3 ),
+        x = new Matrix( [1, -2, 3], 3, 1 );
+
+    assertMatrix( Matrix.eye( 3 ).solve( [1, 2, 3] ), new Matrix( [1, 2, 3], 3, 1 ) );
+    assertMatrix( A.solve( A.multiply( x ) ).roundTo( 10 ), x );
+    assertMatrix( A.solve( A ).roundTo( 10 ), Matrix.eye( 3 ) );
+    assertMatrix( new Matrix( [0, 1, 1, 0], 2, 2 ).solve( new Matrix( [1, 2, 3, 4], 2, 2 ) ),
+        new Matrix( [3, 4, 1, 2], 2, 2 ) );
+
+    assertException( function () {
+        Matrix.ones( 3 ).solve( [1, 2, 3] );
+    } );
+    assertException( function () {
+        Matrix.eye( 3 ).solve( [1, 2] );
+    } );
+}, 'Matrix: Solve' );
+
+new Test( function () {
+    var A = new Matrix( [12, -51, 4, 6, 167, -68, -4, 24, -41], 3, 3 ),
+        QR = A.decomposeQR();
+
+    assertMatrix( QR.Q.multiply( QR.R ).roundTo( 10 ), A );
+    assertMatrix( QR.Q.transpose().multiply( QR.Q ).roundTo( 10 ), Matrix.eye( 3 ) );
+    assertArray( [QR.R.get( 2, 1 ), QR.R.get( 3, 1 ), QR.R.get( 3, 2 )], [0, 0, 0] );
+    assertArray( QR.R.abs().roundTo( 10 ).diag(), [14, 175, 35] );
+}, 'Matrix: QR Decomposition 1' );
+
+new Test( function () {
+    var A = new Matrix( [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 13], 4, 3 ),
+        full = A.decomposeQR(),
+        economy = A.decomposeQR( true );
+
+    assertDimension( full.Q, 4, 4 );
+    assertDimension( full.R, 4, 3 );
+    assertDimension( economy.Q, 4, 3 );
+    assertDimension( economy.R, 3, 3 );
+
+    assertMatrix( full.Q.multiply( full.R ).roundTo( 10 ), A );
+    assertMatrix( economy.Q.multiply( economy.R ).roundTo( 10 ), A );
+    assertMatrix( economy.Q.transpose().multiply( economy.Q ).roundTo( 10 ), Matrix.eye( 3 ) );
+    assertMatrix( economy.Q, full.Q.submatrix( 1, 4, 1, 3 ) );
+    assertArray( full.R.getRow( 4 ), [0, 0, 0] );
+}, 'Matrix: QR Decomposition 2' );
+
+new Test( function () {
+    var A = new Matrix( [4, 12, -16, 12, 37, -43, -16, -43, 98], 3, 3 ),
+        L = A.decomposeCholesky();
+
+    assertMatrix( L, new Matrix( [2, 0, 0, 6, 1, 0, -8, 5, 3], 3, 3 ) );
+    assertMatrix( L.multiply( L.transpose() ), A );
+    assertMatrix( Matrix.eye( 3 ).decomposeCholesky(), Matrix.eye( 3 ) );
+
+    try {
+        new Matrix( [1, 2, 2, 1], 2, 2 ).decomposeCholesky();
+        fail( 'Expected exception, but none was thrown.' );
+    } catch( e ) {
+        assertEquals( e.code, 'Matrix is not positive definite' );
+    }
+
+    assertException( function () {
+        Matrix.eye( 3 ).set( 1, 2, 1 ).decomposeCholesky();
+    } );
+}, 'Matrix: Cholesky Decomposition' );
+
+new Test( function () {
+    var A = new Matrix( [4, 12, -16, 12, 37, -43, -16, -43, 98], 3, 3 ),
+        X = new Matrix( [1, 2, -1, 0, 3, 1], 3, 2 );
+
+    assertMatrix( A.solve( A.multiply( X ), 'cholesky' ).roundTo( 10 ), X );
+    assertMatrix( A.solve( [1, 2, 3], 'cholesky' ).roundTo( 10 ), A.solve( [1, 2, 3] ).roundTo( 10 ) );
+
+    assertException( function () {
+        A.solve( [1, 2, 3], 'unknown' );
+    } );
+}, 'Matrix: Solve Cholesky' );
+
+new Test( function () {
+    // fit a line through points that don't lie on a common line
+    var A = new Matrix( [1, 0, 1, 1, 1, 2, 1, 3], 4, 2 ),
+        b = [1, 2, 2, 4];
+
+    var fit = Matrix.lstsq( A, b );
+    assertEquals( fit.coefficients.approxEquals( new Vector( [0.9, 0.9] ) ), true );
+    assertEquals( fit.residuals.approxEquals( new Vector( [0.1, 0.2, -0.7, 0.4] ) ), true );
+    assertEquals( Math.abs( fit.rSquared - (1 - 0.7 / 4.75) ) < 1e-12, true );
+
+    // consistent system is solved exactly
+    var exact = Matrix.lstsq( new Matrix( [2, 1, 1, 3] ), new Vector( [3, 5] ) );
+    assertEquals( exact.coefficients.approxEquals( new Vector( [0.8, 1.4] ) ), true );
+    assertEquals( exact.rSquared, 1 );
+
+    assertException( function () {
+        Matrix.lstsq( new Matrix( [1, 1, 2, 2, 3, 3], 3, 2 ), [1, 2, 3] );
+    } );
+    assertException( function () {
+        Matrix.lstsq( A, [1, 2, 3] );
+    } );
+}, 'Matrix: Least Squares 1' );
+
+new Test( function () {
+    var A = new Matrix( [1, 0, 1, 1, 1, 2, 1, 3], 4, 2 ),
+        b = [1, 2, 2, 4];
+
+    // weights of zero remove observations
+    var weighted = Matrix.lstsq( A, b, { weights: [1, 1, 0, 0] } );
+    assertEquals( weighted.coefficients.approxEquals( new Vector( [1, 1] ) ), true );
+    assertEquals( weighted.rSquared, 1 );
+
+    // ridge regression equals the solution of (A^T A + ridge I) x = A^T b
+    var ridge = Matrix.lstsq( A, b, { ridge: 2 } ),
+        expected = A.transpose().multiply( A ).add( Matrix.eye( 2 ).scale( 2 ) )
+            .solve( A.transpose().multiply( new Vector( b ) ) );
+    assertEquals( ridge.coefficients.approxEquals( expected ), true );
+
+    // with ridge regularization, underdetermined and rank deficient systems can be solved
+    assertDimension( Matrix.lstsq( new Matrix( [1, 1, 2, 2, 3, 3], 3, 2 ), [1, 2, 3], { ridge: 1 } ).coefficients,
+        2, 1 );
+
+    assertException( function () {
+        Matrix.lstsq( A, b, { weights: [1, 1, -1, 1] } );
+    } );
+}, 'Matrix: Least Squares 2' );
+
+new Test( function () {
+    var A = new Matrix( [2, 1, 0, 1, 2, 1, 0, 1, 2], 3, 3 ),
+        eig = A.eig();
+
+    assertArray( eig.real.map( function (value) {
+        return Math.round( value * 1e10 ) / 1e10;
+    } ), [0.5857864376, 2, 3.4142135624] );
+    assertArray( eig.imaginary, [0, 0, 0] );
+
+    assertMatrix( A.multiply( eig.vectors ).roundTo( 10 ),
+        eig.vectors.multiply( Matrix.diag( eig.real ) ).roundTo( 10 ) );
+    assertMatrix( eig.vectors.transpose().multiply( eig.vectors ).roundTo( 10 ), Matrix.eye( 3 ) );
+}, 'Matrix: Eigenvalues Symmetric' );
+
+new Test( function () {
+    var A = new Matrix( [4, 1, 2, 3, 0, 3, 1, 1, 1, 2, 5, 0, 2, 0, 1, 1], 4, 4 ),
+        eig = A.eig();
+
+    assertArray( eig.imaginary, [0, 0, 0, 0] );
+    assertMatrix( A.multiply( eig.vectors ).roundTo( 10 ),
+        eig.vectors.multiply( Matrix.diag( eig.real ) ).roundTo( 10 ) );
+    assertEquals( Math.round( eig.real.reduce( function (a, b) {
+        return a + b;
+    } ) * 1e10 ) / 1e10, A.trace() );
+}, 'Matrix: Eigenvalues General 1' );
+
+new Test( function () {
+    var A = new Matrix( [0, 1, 0, -1, 0, 0, 0, 0, 2], 3, 3 ),
+        eig = A.eig(),
+        re = new Matrix( eig.vectors.getColumn( 1 ), 3, 1 ),
+        im = new Matrix( eig.vectors.getColumn( 2 ), 3, 1 );
+
+    assertArray( eig.real, [0, 0, 2] );
+    assertArray( eig.imaginary, [1, -1, 0] );
+
+    // A * (re + i * im) = (0 + 1i) * (re + i * im)
+    assertMatrix( A.multiply( re ).roundTo( 10 ), im.scale( -1 ).roundTo( 10 ) );
+    assertMatrix( A.multiply( im ).roundTo( 10 ), re.roundTo( 10 ) );
+}, 'Matrix: Eigenvalues General 2' );
+
+new Test( function () {
+    var A = new Matrix( [1, 2, 3, 4, 5, 6, 7, 8, 10, 11, 12, 13], 4, 3 ),
+        full = A.svd(),
+        thin = A.svd( true );
+
+    assertDimension( full.U, 4, 4 );
+    assertDimension( full.V, 3, 3 );
+    assertDimension( thin.U, 4, 3 );
+    assertDimension( thin.V, 3, 3 );
+    assertEquals( full.S.length, 3 );
+    assertEquals( full.S[0] >= full.S[1] && full.S[1] >= full.S[2], true );
+
+    assertMatrix( thin.U.multiply( Matrix.diag( thin.S ) ).multiply( thin.V.transpose() ).roundTo( 10 ), A );
+    assertMatrix( full.U.transpose().multiply( full.U ).roundTo( 10 ), Matrix.eye( 4 ) );
+    assertMatrix( full.V.transpose().multiply( full.V ).roundTo( 10 ), Matrix.eye( 3 ) );
+}, 'Matrix: SVD 1' );
+
+new Test( function () {
+    var A = new Matrix( [1, 2, 3, 2, 4, 6], 2, 3 ),
+        svd = A.svd();
+
+    assertDimension( svd.U, 2, 2 );
+    assertDimension( svd.V, 3, 3 );
+    assertEquals( Math.round( svd.S[0] * svd.S[0] * 1e10 ) / 1e10, 70 );
+    assertEquals( svd.S[1], 0 );
+    assertMatrix( svd.U.transpose().multiply( svd.U ).roundTo( 10 ), Matrix.eye( 2 ) );
+    assertMatrix( svd.V.transpose().multiply( svd.V ).roundTo( 10 ), Matrix.eye( 3 ) );
+}, 'Matrix: SVD 2' );
+
+new Test( function () {
+    var M = new Matrix( [NaN, 1, 1, NaN] );
+
+    try {
+        M.eig();
+        fail( 'Expected exception' );
+    } catch( e ) {
+        assertEquals( e.code, 'Iteration did not converge' );
+    }
+
+    try {
+        M.svd();
+        fail( 'Expected exception' );
+    } catch( e ) {
+        assertEquals( e.code, 'Iteration did not converge' );
+    }
+}, 'Matrix: Eigenvalues / SVD No Convergence' );
+
+new Test( function () {
+    var A = new Matrix( [1, 2, 3, 2, 4, 6], 2, 3 ),
+        B = new Matrix( [1, 2, 3, 4, 5, 6, 7, 8, 10, 11, 12, 13], 4, 3 );
+
+    assertEquals( A.rank(), 1 );
+    assertEquals( B.rank(), 3 );
+    assertEquals( Matrix.zeros( 3 ).rank(), 0 );
+
+    assertEquals( A.cond(), Infinity );
+    assertEquals( new Matrix( [1, 2, 3, 4, 5, 6, 7, 8, 9] ).cond(), Infinity );
+    assertEquals( Matrix.eye( 3 ).scale( 2 ).cond(), 1 );
+    assertEquals( Matrix.diag( [1, 4, 2] ).cond(), 4 );
+
+    assertEquals( Matrix.diag( [1, -4, 2] ).norm( 'spectral' ), 4 );
+    assertEquals( Math.round( A.norm( 'spectral' ) * 1e10 ), Math.round( Math.sqrt( 70 ) * 1e10 ) );
+}, 'Matrix: Rank / Cond / Spectral Norm' );
+
+new Test( function () {
+    var A = new Matrix( [1, 2, 3, 2, 4, 6], 2, 3 ),
+        B = new Matrix( [1, 2, 3, 4, 5, 6, 7, 8, 10, 11, 12, 13], 4, 3 ),
+        P = A.pinv();
+
+    assertDimension( P, 3, 2 );
+    assertMatrix( P.scale( 70 ).roundTo( 10 ), A.transpose() );
+    assertMatrix( A.multiply( P ).multiply( A ).roundTo( 10 ), A );
+    assertMatrix( B.pinv().multiply( B ).roundTo( 10 ), Matrix.eye( 3 ) );
+    assertMatrix( new Matrix( [4, 7, 2, 6], 2, 2 ).pinv().roundTo( 10 ), new Matrix( [0.6, -0.7, -0.2, 0.4], 2, 2 ) );
+}, 'Matrix: Pseudo Inverse' );
+
 new Test( function () {
     assertMatrix( Matrix.zeros( 3 ).submatrix( 2, 3, 2, 3 ), Matrix.zeros( 2 ) );
 
@@ -320,6 +1016,90 @@ new Test( function () {
     assertMatrix( M.submatrix( 2, 3, 2, 3 ), new Matrix( [2, 1, 1, 3], 2, 2 ) );
 }, 'Matrix: Submatrix' );
 
+new Test( function () {
+    var M = new Matrix( [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12], 3, 4 );
+
+    assertMatrix( M.select(), M );
+    assertMatrix( M.select( 2, ':' ), new Matrix( [5, 6, 7, 8], 1, 4 ) );
+    assertMatrix( M.select( -1, -1 ), new Matrix( [12], 1, 1 ) );
+    assertMatrix( M.select( '1:2', '2:3' ), M.submatrix( 1, 2, 2, 3 ) );
+    assertMatrix( M.select( null, '1:2:-1' ), new Matrix( [1, 3, 5, 7, 9, 11], 3, 2 ) );
+    assertMatrix( M.select( '-1:-1:1', ':3:' ), new Matrix( [9, 12, 5, 8, 1, 4], 3, 2 ) );
+    assertMatrix( M.select( [3, 1, 1], [4] ), new Matrix( [12, 4, 4], 3, 1 ) );
+    assertMatrix( M.select( [true, false, true], [false, true, false, false] ), new Matrix( [2, 10], 2, 1 ) );
+    assertDimension( M.select( [], null ), 0, 4 );
+
+    assertException( function () {
+        M.select( 4, null );
+    } );
+    assertException( function () {
+        M.select( [true, false], null );
+    } );
+    assertException( function () {
+        M.select( '1:0:3', null );
+    } );
+}, 'Matrix: Select' );
+
+new Test( function () {
+    var M = Matrix.zeros( 3, 4 );
+
+    assertEquals( M.assign( '1:2:-1', ':', 1 ), M );
+    assertMatrix( M, new Matrix( [1, 1, 1, 1, 0, 0, 0, 0, 1, 1, 1, 1], 3, 4 ) );
+
+    M.assign( [true, false, true], [-1, 1], new Matrix( [2, 3, 4, 5], 2, 2 ) );
+    assertMatrix( M, new Matrix( [3, 1, 1, 2, 0, 0, 0, 0, 5, 1, 1, 4], 3, 4 ) );
+
+    try {
+        M.assign( null, 1, Matrix.ones( 2, 1 ) );
+        fail( 'Expected exception' );
+    } catch( e ) {
+        assertEquals( e.code, 'Dimension mismatch' );
+    }
+
+    // the source may be the matrix itself or share its storage
+    var N = new Matrix( [1, 2, 3, 4], 2, 2 );
+    assertMatrix( N.assign( [2, 1], ':', N ), new Matrix( [3, 4, 1, 2], 2, 2 ) );
+
+    var buffer = new Float64Array( [1, 2, 3, 4] );
+    assertMatrix( new Matrix( buffer, 2, 2 ).assign( ':', [2, 1], new Matrix( buffer, 2, 2 ) ),
+        new Matrix( [2, 1, 4, 3], 2, 2 ) );
+}, 'Matrix: Assign' );
+
+new Test( function () {
+    var M = new Matrix( [1, 2, 3, 4, 5, 6, 7, 8, 9], 3, 3 );
+
+    assertMatrix( M.removeRows( 2 ), new Matrix( [1, 2, 3, 7, 8, 9], 2, 3 ) );
+    assertMatrix( M.removeRows( [1, -1] ), new Matrix( [4, 5, 6], 1, 3 ) );
+    assertMatrix( M.removeColumns( [true, false, true] ), new Matrix( [2, 5, 8], 3, 1 ) );
+
+    assertMatrix( M.insertRow( 1, [0, 0, 0] ), new Matrix( [0, 0, 0, 1, 2, 3, 4, 5, 6, 7, 8, 9], 4, 3 ) );
+    assertMatrix( M.insertRow( 4, new Vector( [0, 0, 0] ) ), M.addRow( [0, 0, 0] ) );
+    assertMatrix( M.insertColumn( 2, [0, 0, 0] ), new Matrix( [1, 0, 2, 3, 4, 0, 5, 6, 7, 0, 8, 9], 3, 4 ) );
+
+    assertException( function () {
+        M.insertRow( 5, [0, 0, 0] );
+    } );
+    assertException( function () {
+        M.insertColumn( 1, [0, 0] );
+    } );
+}, 'Matrix: Remove / Insert' );
+
+new Test( function () {
+    var M = new Matrix( [1, 2, 3, 4, 5, 6, 7, 8, 9], 3, 3 );
+
+    assertMatrix( M.permuteRows( [3, 1, 2] ), new Matrix( [7, 8, 9, 1, 2, 3, 4, 5, 6], 3, 3 ) );
+    assertMatrix( M.permuteColumns( new Vector( [2, 3, 1] ) ), new Matrix( [2, 3, 1, 5, 6, 4, 8, 9, 7], 3, 3 ) );
+
+    assertException( function () {
+        M.permuteRows( [1, 1, 2] );
+    } );
+
+    assertEquals( M.swapRows( 1, 3 ), M );
+    assertMatrix( M, new Matrix( [7, 8, 9, 4, 5, 6, 1, 2, 3], 3, 3 ) );
+    M.swapColumns( 1, 2 );
+    assertMatrix( M, new Matrix( [8, 7, 9, 5, 4, 6, 2, 1, 3], 3, 3 ) );
+}, 'Matrix: Swap / Permute' );
+
 new Test( function () {
     var M = new Matrix( [
         [1, 4, 6],
@@ -387,7 +1167,7 @@ new Test( function () {
 
     assertEquals( A.dot( B ), 10 );
     assertEquals( B.dot( A ), 10 );
-}, 'Matrix: Dot Product', true );
+}, 'Matrix: Dot Product' );
 
 new Test( function () {
     assertEquals( Matrix.eye( 3 ).contains( 1 ), true );
@@ -424,6 +1204,79 @@ new Test( function () {
     assertEquals( A.equals( C ), false );
 }, 'Matrix: Equals 2' );
 
+new Test( function () {
+    var A = new Matrix( [0.1, 0.2, 0.3, 1e6], 2, 2 ),
+        B = new Matrix( [0.1, 0.2, 0.1 + 0.2, 1e6 + 1e-4], 2, 2 );
+
+    assertEquals( A.equals( B ), false );
+    assertEquals( A.approxEquals( B ), true );
+    assertEquals( A.approxEquals( B, { rtol: 0 } ), false );
+    assertEquals( A.approxEquals( B, { rtol: 0, atol: 1e-3 } ), true );
+    assertEquals( A.approxEquals( B, { rtol: 0, atol: 0, ulps: 1 } ), false );
+    assertEquals( A.approxEquals( B.set( 2, 2, 1e6 ), { rtol: 0, atol: 0, ulps: 1 } ), true );
+
+    assertEquals( A.approxEquals( Matrix.ones( 3 ) ), false );
+    assertEquals( Matrix.eye( 2 ).approxEquals( new SparseMatrix( 2, 2, [1, 1], [1, 2], [0, 1, 2] ) ), true );
+    assertEquals( new SparseMatrix( 2, 2, [1, 1], [1, 2], [0, 1, 2] ).approxEquals( Matrix.eye( 2 ) ), true );
+}, 'Matrix: Approximately Equals 1' );
+
+new Test( function () {
+    var strict = { rtol: 0, atol: 0 },
+        withUlps = function (ulps) {
+            return { rtol: 0, atol: 0, ulps: ulps };
+        };
+
+    // 1 + 100 * 2^-52 is exactly 100 ULPs above 1
+    var A = new Matrix( [1, 0.3, -Number.MIN_VALUE], 1, 3 ),
+        B = new Matrix( [1 + 100 * Math.pow( 2, -52 ), 0.3, -Number.MIN_VALUE], 1, 3 );
+
+    assertEquals( A.approxEquals( B, strict ), false );
+    assertEquals( A.approxEquals( B, withUlps( 99 ) ), false );
+    assertEquals( A.approxEquals( B, withUlps( 101 ) ), true );
+
+    assertEquals( A.approxEquals( B.set( 1, 2, 0.1 + 0.2 ), withUlps( 101 ) ), true );
+    assertEquals( A.approxEquals( B.set( 1, 1, 1 ), withUlps( 0.5 ) ), false );
+    assertEquals( A.approxEquals( B, withUlps( 1 ) ), true );
+
+    // opposite signs around zero
+    assertEquals( A.approxEquals( B.set( 1, 2, 0.3 ).set( 1, 3, Number.MIN_VALUE ), withUlps( 1 ) ), false );
+    assertEquals( A.approxEquals( B, withUlps( 2 ) ), true );
+    assertEquals( new Matrix( [-1], 1, 1 ).approxEquals( new Matrix( [1], 1, 1 ), withUlps( 1e6 ) ), false );
+}, 'Matrix: Approximately Equals ULPs' );
+
+new Test( function () {
+    var A = new Matrix( [1, 2, 3, 4], 2, 2 ),
+        B = new Matrix( [1, 2.5, 3, 4.1], 2, 2 );
+
+    var result = A.approxEquals( B, { diagnostic: true } );
+    assertEquals( result.equal, false );
+    assertEquals( result.row, 1 );
+    assertEquals( result.column, 2 );
+    assertEquals( result.value, 2 );
+    assertEquals( result.other, 2.5 );
+    assertEquals( result.difference, 0.5 );
+
+    result = A.approxEquals( A, { diagnostic: true } );
+    assertEquals( result.equal, true );
+    assertEquals( result.difference, 0 );
+
+    assertEquals( A.approxEquals( Matrix.ones( 3 ), { diagnostic: true } ).equal, false );
+
+    // the larger difference at (1, 1) is within the relative tolerance, only (1, 2) fails
+    var C = new Matrix( [1e6, 0], 1, 2 ),
+        D = new Matrix( [1e6 + 5e-4, 1e-10], 1, 2 );
+
+    result = C.approxEquals( D, { diagnostic: true } );
+    assertEquals( result.equal, false );
+    assertEquals( result.row, 1 );
+    assertEquals( result.column, 2 );
+    assertEquals( result.difference, 1e-10 );
+
+    result = C.approxEquals( D, { atol: 1e-9, diagnostic: true } );
+    assertEquals( result.equal, true );
+    assertEquals( result.column, 1 );
+}, 'Matrix: Approximately Equals 2' );
+
 new Test( function () {
     var M = Matrix.zeros( 3 );
     assertMatrix( M.abs(), M );
@@ -465,7 +1318,7 @@ new Test( function () {
         .setColumn( 3, B.getColumn( 1 ) )
         .det()
     ) );
-}, 'Matrix: Cross Product', true );
+}, 'Matrix: Cross Product' );
 
 new Test( function () {
     var M = Matrix.eye( 3 );
@@ -533,13 +1386,281 @@ new Test( function () {
 }, 'Matrix: Exp / Pow' );
 
 new Test( function () {
-    assertMatrix( [0, 0, 0, 0].toMatrix(), Matrix.zeros( 2 ) );
-    assertMatrix( [1, 2, 3, 4, 5, 6].toMatrix( 2, 3 ), new Matrix( [1, 2, 3, 4, 5, 6], 2, 3 ) );
+    var A = new Matrix( [1, 2, 3, 4, 5, 6], 2, 3 );
+
+    assertMatrix( A.pw_multiply( A ), new Matrix( [1, 4, 9, 16, 25, 36], 2, 3 ) );
+    assertMatrix( A.pw_divide( A ), Matrix.ones( 2, 3 ) );
+    assertMatrix( A.pw_multiply( 2 ), A.scale( 2 ) );
+    assertMatrix( A.pw_divide( 2 ), new Matrix( [0.5, 1, 1.5, 2, 2.5, 3], 2, 3 ) );
+
+    assertException( function () {
+        A.pw_multiply( Matrix.ones( 3, 2 ) );
+    } );
+}, 'Matrix: Pointwise Multiply / Divide' );
+
+new Test( function () {
+    var A = new Matrix( [1, 2, 3, 4, 5, 6], 2, 3 ),
+        row = new Matrix( [1, 2, 3], 1, 3 ),
+        column = new Matrix( [1, 2], 2, 1 );
+
+    assertMatrix( A.add( 1 ), new Matrix( [2, 3, 4, 5, 6, 7], 2, 3 ) );
+    assertMatrix( A.subtract( 1 ), new Matrix( [0, 1, 2, 3, 4, 5], 2, 3 ) );
+    assertMatrix( A.add( row ), new Matrix( [2, 4, 6, 5, 7, 9], 2, 3 ) );
+    assertMatrix( A.subtract( column ), new Matrix( [0, 1, 2, 2, 3, 4], 2, 3 ) );
+    assertMatrix( A.pw_divide( new Vector( [1, 2] ) ), new Matrix( [1, 2, 3, 2, 2.5, 3], 2, 3 ) );
+    assertMatrix( column.add( row ), new Matrix( [2, 3, 4, 3, 4, 5], 2, 3 ) );
+
+    try {
+        A.add( new Matrix( [1, 2], 1, 2 ) );
+        fail( 'Expected exception' );
+    } catch( e ) {
+        assertEquals( e.code, 'Dimension mismatch' );
+    }
+}, 'Matrix: Broadcasting' );
+
+new Test( function () {
+    assertMatrix( Matrix.fromArray( [0, 0, 0, 0] ), Matrix.zeros( 2 ) );
+    assertMatrix( Matrix.fromArray( [1, 2, 3, 4, 5, 6], 2, 3 ), new Matrix( [1, 2, 3, 4, 5, 6], 2, 3 ) );
+
+    assertMatrix( Matrix.fromString( Matrix.eye( 3 ).stringify() ), Matrix.eye( 3 ) );
+    assertMatrix( Matrix.fromString( '1,2;3,4', ';', ',' ), new Matrix( [1, 2, 3, 4] ) );
+
+    assertException( function () {
+        Matrix.fromString( '1,2;3', ';', ',' );
+    } );
+}, 'Matrix: fromArray / fromString' );
+
+new Test( function () {
+    var A = new Matrix( [1, 2, 3, 4], 2, 2 ),
+        b = new Matrix( [5, 6], 2, 1 );
+
+    assertMatrix( Matrix.hstack( A, b ), A.augment( b ) );
+    assertMatrix( Matrix.hstack( A, 0 ), new Matrix( [1, 2, 0, 3, 4, 0], 2, 3 ) );
+    assertMatrix( Matrix.vstack( A, b.transpose(), 7 ), new Matrix( [1, 2, 3, 4, 5, 6, 7, 7], 4, 2 ) );
+
+    try {
+        Matrix.vstack( A, b );
+        fail( 'Expected exception' );
+    } catch( e ) {
+        assertEquals( e.code, 'Dimension mismatch' );
+        assertEquals( e.message.indexOf( 'Block (2, 1)' ), 0 );
+    }
+}, 'Matrix: hstack / vstack' );
+
+new Test( function () {
+    var H = Matrix.eye( 2 ).scale( 2 ),
+        A = new Matrix( [1, 1], 1, 2 ),
+        S = new SparseMatrix( 1, 1 ).set( 1, 1, 3 );
+
+    assertMatrix( Matrix.block( [
+        [H, A.transpose()],
+        [A, 0]
+    ] ), new Matrix( [2, 0, 1, 0, 2, 1, 1, 1, 0] ) );
+
+    assertMatrix( Matrix.block( [
+        [1, A],
+        [S, 2]
+    ] ), new Matrix( [1, 1, 1, 3, 2, 2], 2, 3 ) );
+
+    try {
+        Matrix.block( [
+            [H, A.transpose()],
+            [A, Matrix.ones( 1, 2 )]
+        ] );
+        fail( 'Expected exception' );
+    } catch( e ) {
+        assertEquals( e.code, 'Dimension mismatch' );
+        assertEquals( e.message.indexOf( 'Block (2, 2)' ), 0 );
+    }
+
+    assertException( function () {
+        Matrix.block( [
+            [H, A],
+            [A]
+        ] );
+    } );
+}, 'Matrix: Block' );
+
+new Test( function () {
+    var M = new Matrix( [1, 2, 3, 4, 5, 6], 2, 3 );
+
+    assertMatrix( M.reshape( 3, 2 ), new Matrix( [1, 2, 3, 4, 5, 6], 3, 2 ) );
+    assertMatrix( M.reshape( null, 1 ), new Matrix( [1, 2, 3, 4, 5, 6], 6, 1 ) );
+    assertMatrix( M.reshape( 3, 2, 'column' ), new Matrix( [1, 5, 4, 3, 2, 6], 3, 2 ) );
+    assertMatrix( M.reshape( 3, 2, 'column' ).reshape( 2, 3, 'column' ), M );
+
+    assertException( function () {
+        M.reshape( 4, 2 );
+    } );
+}, 'Matrix: Reshape' );
+
+new Test( function () {
+    var M = new Matrix( [1, 2, 3, 4, 5, 6], 2, 3 );
+
+    assertMatrix( M.fliplr(), new Matrix( [3, 2, 1, 6, 5, 4], 2, 3 ) );
+    assertMatrix( M.flipud(), new Matrix( [4, 5, 6, 1, 2, 3], 2, 3 ) );
+    assertMatrix( M.rot90(), new Matrix( [3, 6, 2, 5, 1, 4], 3, 2 ) );
+    assertMatrix( M.rot90( 2 ), new Matrix( [6, 5, 4, 3, 2, 1], 2, 3 ) );
+    assertMatrix( M.rot90( -1 ), new Matrix( [4, 1, 5, 2, 6, 3], 3, 2 ) );
+    assertMatrix( M.rot90( 3 ), M.rot90( -1 ) );
+    assertMatrix( M.rot90( 4 ), M );
+}, 'Matrix: Flip / Rotate' );
+
+new Test( function () {
+    var M = new Matrix( [1, 2], 1, 2 );
+
+    assertMatrix( M.repmat( 2 ), new Matrix( [1, 2, 1, 2, 1, 2, 1, 2], 2, 4 ) );
+    assertMatrix( M.repmat( 2, 1 ), new Matrix( [1, 2, 1, 2], 2, 2 ) );
+
+    assertMatrix( Matrix.eye( 2 ).kron( new Matrix( [1, 2, 3, 4], 2, 2 ) ),
+        new Matrix( [1, 2, 0, 0, 3, 4, 0, 0, 0, 0, 1, 2, 0, 0, 3, 4] ) );
+    assertMatrix( new Matrix( [1, 2], 2, 1 ).kron( new Matrix( [1, 1], 1, 2 ) ), new Matrix( [1, 1, 2, 2], 2, 2 ) );
+}, 'Matrix: Repmat / Kronecker Product' );
+
+new Test( function () {
+    assertEquals( typeof [].toMatrix, 'undefined' );
+    assertEquals( typeof [].toVector, 'undefined' );
+    assertEquals( typeof ''.toMatrix, 'undefined' );
+
+    withPrototypeExtensions( function () {
+        assertEquals( typeof [].toMatrix, 'function' );
+        assertEquals( typeof [].toVector, 'function' );
+        assertEquals( typeof ''.toMatrix, 'function' );
+
+        var keys = [];
+        for( var key in [1, 2] ) {
+            keys.push( key );
+        }
+        assertArray( keys, ['0', '1'] );
+    } );
+
+    assertEquals( typeof [].toMatrix, 'undefined' );
+    assertEquals( typeof ''.toMatrix, 'undefined' );
+}, 'MatrixUtils: installPrototypeExtensions' );
+
+new Test( function () {
+    // points on the line y = 2x with a small perpendicular offset
+    var X = new Matrix( [
+            [1, 2.2],
+            [2, 3.9],
+            [3, 6.1],
+            [4, 7.8]
+        ] ),
+        model = MatrixUtils.pca( X );
+
+    assertDimension( model.loadings, 2, 2 );
+    assertDimension( model.scores, 4, 2 );
+    assertEquals( model.explainedVarianceRatio[0] > 0.99, true );
+    assertEquals( Math.abs( model.explainedVarianceRatio[0] + model.explainedVarianceRatio[1] - 1 ) < 1e-12, true );
+    assertEquals( model.loadings.approxEquals( model.loadings.transpose().inverse(), { atol: 1e-10 } ), true );
+    assertEquals( model.loadings.get( 2, 1 ) > 0, true );
+    assertEquals( Math.abs( model.loadings.get( 2, 1 ) / model.loadings.get( 1, 1 ) - 2 ) < 0.1, true );
+
+    // total variance is preserved by the projection
+    assertEquals( Math.abs( model.scores['var']().sum() - X['var']().sum() ) < 1e-10, true );
+    assertEquals( model.transform( X ).approxEquals( model.scores ), true );
+    assertEquals( model.transform( X.select( 2, null ) ).approxEquals( model.scores.select( 2, null ) ), true );
+
+    assertException( function () {
+        model.transform( Matrix.ones( 1, 3 ) );
+    } );
+}, 'MatrixUtils: PCA 1' );
+
+new Test( function () {
+    var X = new Matrix( [
+            [1, 100, 5],
+            [2, 300, 5],
+            [3, 200, 5],
+            [4, 500, 5]
+        ] ),
+        model = MatrixUtils.pca( X, { components: 1, scale: true } );
+
+    assertDimension( model.loadings, 3, 1 );
+    assertDimension( model.scores, 4, 1 );
+    assertEquals( model.explainedVariance.length, 1 );
+    assertEquals( model.scale.approxEquals( new Vector( [X.std().get( 1, 1 ), X.std().get( 1, 2 ), 1], true ) ), true );
+    assertEquals( Math.abs( model.loadings.get( 3, 1 ) ) < 1e-12, true );
+
+    var uncentered = MatrixUtils.pca( X, { center: false } );
+    assertMatrix( uncentered.mean, new Vector( [0, 0, 0], true ) );
+
+    assertException( function () {
+        MatrixUtils.pca( X, { components: 4 } );
+    } );
+}, 'MatrixUtils: PCA 2' );
+
+new Test( function () {
+    var X = new Matrix( [
+            [1, 100, 5],
+            [2, 300, 4],
+            [3, 200, 6],
+            [4, 500, 5]
+        ] ),
+        Y = new Matrix( [
+            [2, 250, 5],
+            [5, 100, 3]
+        ] ),
+        model = MatrixUtils.pca( X, { components: 2, scale: true } );
+
+    // the model survives a round trip through JSON
+    var stored = JSON.parse( JSON.stringify( model ) );
+    assertArray( stored.loadings, model.loadings.toArray() );
+    assertArray( stored.mean, model.mean.toArray() );
+    assertArray( stored.scale, model.scale.toArray() );
+    assertMatrix( MatrixUtils.pca.transform( stored, Y ), model.transform( Y ) );
+
+    // plain arrays work as well as matrices
+    assertMatrix( MatrixUtils.pca.transform( {
+        loadings: model.loadings.toArray(),
+        mean: model.mean.toArray(),
+        scale: model.scale.toArray()
+    }, Y ), model.transform( Y ) );
+    assertMatrix( MatrixUtils.pca.transform( model, X ), model.scores );
+
+    assertException( function () {
+        MatrixUtils.pca.transform( stored, Matrix.ones( 2, 2 ) );
+    } );
+    assertException( function () {
+        MatrixUtils.pca.transform( { loadings: stored.loadings, mean: [0, 0], scale: [1, 1] }, Matrix.ones( 2, 2 ) );
+    } );
+}, 'MatrixUtils: PCA Stored Model' );
+
+new Test( function () {
+    var x = [-2, -1, 0, 1, 2, 3],
+        y = MatrixUtils.polyval( [2, -3, 1], x );
+
+    assertArray( y, [15, 6, 1, 0, 3, 10] );
+    assertEquals( MatrixUtils.polyval( [2, -3, 1], 4 ), 21 );
+    assertMatrix( MatrixUtils.polyval( new Vector( [1, 0] ), Matrix.eye( 2 ) ), Matrix.eye( 2 ) );
+    assertEquals( MatrixUtils.polyval( [1, 1], new Vector( [1, 2] ) ) instanceof Vector, true );
+    assertMatrix( MatrixUtils.polyval( [1, 1], new Vector( [1, 2], true ) ), new Vector( [2, 3], true ) );
+
+    var fit = MatrixUtils.polyfit( x, y, 2 );
+    assertEquals( new Vector( fit.coefficients ).approxEquals( new Vector( [2, -3, 1] ), { atol: 1e-10 } ), true );
+    assertEquals( new Vector( fit.residuals ).approxEquals( new Vector( 6 ), { atol: 1e-10 } ), true );
+    assertEquals( Math.abs( fit.rSquared - 1 ) < 1e-12, true );
+
+    var line = MatrixUtils.polyfit( x, y, 1 );
+    assertEquals( line.coefficients.length, 2 );
+    assertEquals( line.rSquared < 1, true );
+
+    assertException( function () {
+        MatrixUtils.polyfit( x, y, -1 );
+    } );
+}, 'MatrixUtils: polyfit / polyval' );
+
+new Test( function () {
+    withPrototypeExtensions( function () {
+        assertMatrix( [0, 0, 0, 0].toMatrix(), Matrix.zeros( 2 ) );
+        assertMatrix( [1, 2, 3, 4, 5, 6].toMatrix( 2, 3 ), new Matrix( [1, 2, 3, 4, 5, 6], 2, 3 ) );
+    } );
 }, 'Array: toMatrix' );
 
 new Test( function () {
-    assertMatrix( [1, 2, 3, 4, 5, 6].toVector(), new Matrix( [1, 2, 3, 4, 5, 6], 6, 1 ) );
-    assertMatrix( [1, 2, 3, 4, 5, 6].toVector( true ), new Matrix( [1, 2, 3, 4, 5, 6], 1, 6 ) );
+    withPrototypeExtensions( function () {
+        assertMatrix( [1, 2, 3, 4, 5, 6].toVector(), new Matrix( [1, 2, 3, 4, 5, 6], 6, 1 ) );
+        assertMatrix( [1, 2, 3, 4, 5, 6].toVector( true ), new Matrix( [1, 2, 3, 4, 5, 6], 1, 6 ) );
+    } );
 }, 'Array: toVector' );
 
 new Test( function () {
@@ -585,11 +1706,13 @@ new Test( function () {
 }, 'Matrix: isTriangular' );
 
 new Test( function () {
-    assertMatrix( Matrix.zeros( 3 ).stringify().toMatrix(), Matrix.zeros( 3 ) );
-    assertMatrix( Matrix.ones( 3 ).stringify().toMatrix(), Matrix.ones( 3 ) );
+    withPrototypeExtensions( function () {
+        assertMatrix( Matrix.zeros( 3 ).stringify().toMatrix(), Matrix.zeros( 3 ) );
+        assertMatrix( Matrix.ones( 3 ).stringify().toMatrix(), Matrix.ones( 3 ) );
 
-    var M = Matrix.random( 2, 3, -5, 5, true );
-    assertMatrix( M.stringify( ',', ';' ).toMatrix( ',', ';' ), M );
+        var M = Matrix.random( 2, 3, -5, 5, true );
+        assertMatrix( M.stringify( ',', ';' ).toMatrix( ',', ';' ), M );
+    } );
 }, 'String: toMatrix' );
 
 new Test( function () {
@@ -714,6 +1837,109 @@ new Test( function () {
     assertMatrix( B, M );
 }, 'SparseMatrix: Set Row / Set Column' );
 
+new Test( function () {
+    var toSparse = function (M) {
+        var S = new SparseMatrix( M.rows(), M.columns() );
+        for( var i = 1; i <= M.rows(); i++ ) {
+            S.setRow( i, M.getRow( i ) );
+        }
+
+        return S;
+    };
+
+    var D = new Matrix( [1, 0, 3, 0, 5, 0, 7, 0, 9, 0, 0, 12], 3, 4 ),
+        S = toSparse( D );
+
+    assertMatrix( S.removeRows( 2 ), toSparse( D.removeRows( 2 ) ) );
+    assertMatrix( S.removeColumns( [1, -1] ), toSparse( D.removeColumns( [1, -1] ) ) );
+    assertMatrix( S.insertRow( 2, [0, 2, 0, 4] ), toSparse( D.insertRow( 2, [0, 2, 0, 4] ) ) );
+    assertMatrix( S.insertRow( 4, [1, 0, 0, 0] ), toSparse( D.insertRow( 4, [1, 0, 0, 0] ) ) );
+    assertMatrix( S.insertColumn( 1, [1, 0, 2] ), toSparse( D.insertColumn( 1, [1, 0, 2] ) ) );
+    assertMatrix( S.insertColumn( 5, [1, 0, 2] ), toSparse( D.insertColumn( 5, [1, 0, 2] ) ) );
+    assertMatrix( S.permuteRows( [2, 3, 1] ), toSparse( D.permuteRows( [2, 3, 1] ) ) );
+    assertMatrix( S.permuteColumns( [4, 3, 2, 1] ), toSparse( D.permuteColumns( [4, 3, 2, 1] ) ) );
+
+    S.swapRows( 1, 2 ).swapColumns( 1, 4 );
+    assertMatrix( S, toSparse( D.swapRows( 1, 2 ).swapColumns( 1, 4 ) ) );
+}, 'SparseMatrix: Remove / Insert / Permute' );
+
+new Test( function () {
+    // 1-D finite difference operator
+    var T = new SparseMatrix( 3, 3, [2, -1, -1, 2, -1, -1, 2], [1, 2, 1, 2, 3, 2, 3], [0, 2, 5, 7] ),
+        I = new SparseMatrix( 3, 3, [1, 1, 1], [1, 2, 3], [0, 1, 2, 3] ),
+        D = new Matrix( [2, -1, 0, -1, 2, -1, 0, -1, 2] );
+
+    var L = I.kron( T ).add( T.kron( I ) ),
+        expected = Matrix.eye( 3 ).kron( D ).add( D.kron( Matrix.eye( 3 ) ) );
+
+    assertDimension( L, 9, 9 );
+    for( var i = 1; i <= 9; i++ ) {
+        assertArray( L.getRow( i ), expected.getRow( i ) );
+    }
+
+    assertArray( T.kron( D ).getRow( 4 ), D.kron( D ).getRow( 4 ) );
+}, 'SparseMatrix: Kronecker Product' );
+
+new Test( function () {
+    var S = new SparseMatrix( 2, 3, [1, 3, -2], [1, 3, 2], [0, 2, 3] ),
+        D = new Matrix( [1, 0, 3, 0, -2, 0], 2, 3 );
+
+    assertEquals( S.sum(), D.sum() );
+    assertEquals( S.min(), -2 );
+    assertEquals( S.argmax(), 3 );
+    assertMatrix( S.sum( 'columns' ), D.sum( 'columns' ) );
+    assertMatrix( S.mean( 'rows' ), D.mean( 'rows' ) );
+    assertMatrix( S.max( 'columns' ), new Vector( [1, 0, 3], true ) );
+    assertMatrix( S.cumsum( 'columns' ), D.cumsum( 'columns' ) );
+    assertMatrix( S.cumprod(), D.cumprod() );
+
+    // implicit zeros take part in the reductions even if every stored entry is negative
+    var T = new SparseMatrix( 2, 2, [-1, -3, 4], [1, 1, 2], [0, 1, 3] ),
+        E = new Matrix( [-1, 0, -3, 4], 2, 2 );
+
+    assertEquals( T.mean(), E.mean() );
+    assertEquals( T.max(), 4 );
+    assertMatrix( T.max( 'rows' ), new Vector( [0, 4] ) );
+    assertMatrix( T.max( 'columns' ), E.max( 'columns' ) );
+    assertMatrix( T.min( 'columns' ), new Vector( [-3, 0], true ) );
+    assertMatrix( T.mean( 'columns' ), E.mean( 'columns' ) );
+    assertMatrix( T.prod( 'rows' ), new Vector( [0, -12] ) );
+    assertEquals( new SparseMatrix( 2, 2, [], [], [0, 0, 0] ).min(), 0 );
+
+    var W = new SparseMatrix( 3, 3, [2, -1, 5, 3, -4], [2, 3, 1, 3, 1], [0, 2, 4, 5] ),
+        F = new Matrix( [0, 2, -1, 5, 0, 3, -4, 0, 0], 3, 3 ),
+        axes = ['all', 'rows', 'columns'];
+
+    for( var i = 0; i < axes.length; i++ ) {
+        if( axes[i] === 'all' ) {
+            assertEquals( W.argmin( axes[i] ), F.argmin( axes[i] ) );
+            assertEquals( W.argmax( axes[i] ), F.argmax( axes[i] ) );
+        } else {
+            assertMatrix( W.argmin( axes[i] ), F.argmin( axes[i] ) );
+            assertMatrix( W.argmax( axes[i] ), F.argmax( axes[i] ) );
+        }
+    }
+
+    assertEquals( new SparseMatrix( 2, 2, [], [], [0, 0, 0] ).argmax(), 1 );
+}, 'SparseMatrix: Reductions' );
+
+new Test( function () {
+    var S = SparseMatrix.random( 20, 10, 0.25, { seed: 5 } );
+
+    assertDimension( S, 20, 10 );
+    assertEquals( S.___getElements().length, 50 );
+    assertEquals( S.min( 'all' ), 0 );
+    assertEquals( S.max( 'all' ) <= 1, true );
+    assertMatrix( SparseMatrix.random( 20, 10, 0.25, { seed: 5 } ), S );
+
+    assertEquals( SparseMatrix.random( 5, 5, 1 ).___getElements().length, 25 );
+    assertEquals( SparseMatrix.random( 5, 5, 0 ).___getElements().length, 0 );
+
+    assertException( function () {
+        SparseMatrix.random( 5, 5, 2 );
+    } );
+}, 'SparseMatrix: Random' );
+
 new Test( function () {
     assertEquals( new SparseMatrix( 3, 3 ).isSquare(), true );
     assertEquals( new SparseMatrix( 2, 3 ).isSquare(), false );
@@ -752,6 +1978,122 @@ new Test( function () {
     assertMatrix( B.scale( 2 ).subtract( B, B ), SparseMatrix.zeros( 3 ) );
 }, 'SparseMatrix: Subtract' );
 
+new Test( function () {
+    var A = new SparseMatrix( 3, 4, [1, 2, 3, 4], [1, 4, 2, 3], [0, 2, 2, 4] );
+
+    assertArray( A.multiply( [1, 2, 3, 4] ), [9, 0, 18] );
+    assertArray( SparseMatrix.eye( 3 ).multiply( [5, 6, 7] ), [5, 6, 7] );
+    assertArray( new SparseMatrix( 2, 3 ).multiply( [1, 2, 3] ), [0, 0] );
+
+    assertException( function () {
+        A.multiply( [1, 2, 3] );
+    } );
+}, 'SparseMatrix: Multiply Vector' );
+
+new Test( function () {
+    var A = new SparseMatrix( 3, 4, [1, 2, 3, 4], [1, 4, 2, 3], [0, 2, 2, 4] ),
+        B = new Matrix( [1, 2, 3, 4, 5, 6, 7, 8], 4, 2 );
+
+    assertMatrix( A.multiply( B ), new Matrix( [15, 18, 0, 0, 29, 36], 3, 2 ) );
+    assertMatrix( SparseMatrix.eye( 4 ).multiply( B ), B );
+    assertMatrix( A.multiply( new Matrix( [1, 2, 3, 4], 4, 1 ) ), new Matrix( [9, 0, 18], 3, 1 ) );
+
+    assertException( function () {
+        A.multiply( Matrix.eye( 3 ) );
+    } );
+}, 'SparseMatrix: Multiply Dense' );
+
+new Test( function () {
+    var A = new SparseMatrix( 3, 4, [1, 2, 3, 4], [1, 4, 2, 3], [0, 2, 2, 4] ),
+        B = new SparseMatrix( 4, 2, [1, 5, -4, 2], [1, 2, 1, 2], [0, 1, 2, 3, 4] ),
+        C = new SparseMatrix( 2, 2, [1, 1, 1, -1], [1, 2, 1, 2], [0, 2, 4] );
+
+    assertMatrix( A.multiply( B ), new SparseMatrix( 3, 2, [1, 4, -16, 15], [1, 2, 1, 2], [0, 2, 2, 4] ) );
+    assertMatrix( SparseMatrix.eye( 3 ).multiply( A ), A );
+    assertMatrix( A.multiply( SparseMatrix.eye( 4 ) ), A );
+
+    // entries that cancel out must not be stored
+    assertMatrix( C.multiply( new SparseMatrix( 2, 1, [1, 1], [1, 1], [0, 1, 2] ) ),
+        new SparseMatrix( 2, 1, [2], [1], [0, 1, 1] ) );
+}, 'SparseMatrix: Multiply Sparse' );
+
+new Test( function () {
+    assertDimension( new Vector( 3 ), 3, 1 );
+    assertDimension( new Vector( 3, true ), 1, 3 );
+    assertDimension( new Vector( [1, 2, 3, 4] ), 4, 1 );
+    assertDimension( new Vector( [1, 2, 3, 4], true ), 1, 4 );
+    assertDimension( new Vector( new Matrix( [1, 2, 3], 1, 3 ) ), 1, 3 );
+    assertDimension( new Vector( new Matrix( [1, 2, 3], 3, 1 ) ), 3, 1 );
+
+    var v = new Vector( [1, 2, 3] ),
+        w = new Vector( [1, 2, 3], true );
+
+    assertEquals( v instanceof Matrix, true );
+    assertEquals( v.isColumnVector(), true );
+    assertEquals( w.isRowVector(), true );
+    assertEquals( v.size(), 3 );
+    assertEquals( v.get( 2, 1 ), 2 );
+    assertEquals( w.get( 1, 3 ), 3 );
+    assertArray( w.set( 1, 2, 5 ).toArray(), [1, 5, 3] );
+    assertMatrix( v, new Matrix( [1, 2, 3], 3, 1 ) );
+
+    var entries = [1, 2, 3],
+        u = new Vector( entries );
+    entries[0] = 5;
+    assertEquals( u.get( 1, 1 ), 1 );
+    assertMatrix( v.transpose(), new Matrix( [1, 2, 3], 1, 3 ) );
+
+    assertException( function () {
+        new Vector( Matrix.eye( 2 ) );
+    } );
+}, 'Vector: Create' );
+
+new Test( function () {
+    var A = new Matrix( [1, 2, 3, 4, 5, 6], 2, 3 ),
+        v = new Vector( [1, 0, -1] ),
+        Av = A.multiply( v ),
+        uA = new Vector( [1, 1], true ).multiply( A );
+
+    assertEquals( Av instanceof Vector, true );
+    assertEquals( Av.isColumnVector(), true );
+    assertArray( Av.toArray(), [-2, -2] );
+
+    assertEquals( uA instanceof Vector, true );
+    assertEquals( uA.isRowVector(), true );
+    assertArray( uA.toArray(), [5, 7, 9] );
+
+    assertEquals( v.multiply( new Vector( [1, 2], true ) ) instanceof Vector, false );
+
+    var S = new SparseMatrix( 2, 3, [1, 2], [1, 3], [0, 1, 2] ),
+        Sv = S.multiply( v );
+    assertEquals( Sv instanceof Vector, true );
+    assertArray( Sv.toArray(), [1, -2] );
+}, 'Vector: Multiply' );
+
+new Test( function () {
+    var v = new Vector( [3, 0, 4] ),
+        w = new Vector( [0, 2, 0] );
+
+    assertEquals( v.norm(), 5 );
+    assertEquals( v.norm( 'max' ), 4 );
+    assertArray( v.normalize().toArray(), [0.6, 0, 0.8] );
+    assertEquals( v.dot( w ), 0 );
+    assertEquals( v.dot( [1, 1, 1] ), 7 );
+    assertEquals( v.angleTo( w ), Math.PI / 2 );
+    assertEquals( v.angleTo( v.scale( 2 ) ), 0 );
+    assertArray( v.projectOnto( [1, 0, 0] ).toArray(), [3, 0, 0] );
+    assertArray( new Vector( [1, 1], true ).projectOnto( [2, 0] ).toArray(), [1, 0] );
+    assertMatrix( new Vector( [1, 2] ).outer( [3, 4, 5] ), new Matrix( [3, 4, 5, 6, 8, 10], 2, 3 ) );
+    assertArray( v.cross( w ).toArray(), [-8, 0, 6] );
+
+    assertException( function () {
+        new Vector( 3 ).normalize();
+    } );
+    assertException( function () {
+        v.dot( [1, 2] );
+    } );
+}, 'Vector: Operations' );
+
 // ##########
 
 Test.runAll();